@@ -2,6 +2,9 @@
 import React, { useState, useEffect } from 'react';
 import * as crypto from './services/improved-crypto';
 
+// 画面で作成できるシェア数の上限（GF(2^16)は65535まで作成できるが、一覧表示が重くなるため制限する）
+const MAX_UI_SHARES = { 8: 255, 16: 1000 };
+
 function CryptoTester() {
   // 各機能のテスト状態
   const [symmetricTestState, setSymmetricTestState] = useState({
@@ -26,9 +29,13 @@ function CryptoTester() {
     secret: '',
     totalShares: 5,
     threshold: 3,
+    bits: 8,
     shares: [],
     selectedShares: [],
+    showMnemonic: false,
+    commitment: null,
     recovered: null,
+    verified: null,
     status: '',
     success: null
   });
@@ -113,25 +120,35 @@ function CryptoTester() {
   };
 
   // シャミア秘密分散テスト関数
-  const testShamirSecretSharing = () => {
+  const testShamirSecretSharing = async () => {
     try {
       setShamirTestState(prev => ({ ...prev, status: 'テスト実行中...', success: null }));
       
       // シェアを作成
       const secret = shamirTestState.secret || 'シャミア秘密分散のテスト';
+      const maxShares = MAX_UI_SHARES[shamirTestState.bits];
+      if (shamirTestState.totalShares > maxShares) {
+        throw new Error(`この画面で作成できるシェアは${maxShares}個までです`);
+      }
       const shares = crypto.createShares(
         secret,
         shamirTestState.totalShares,
-        shamirTestState.threshold
+        shamirTestState.threshold,
+        { bits: shamirTestState.bits }
       );
       console.log('生成されたシェア:', shares);
       
+      // 復元結果を確認するためのコミットメント（公開リカバリーデータに含めるもの）
+      const commitment = await crypto.createSecretCommitment(secret, crypto.parseShare(shares[0]).splitId);
+      
       setShamirTestState(prev => ({
         ...prev,
         secret,
         shares,
         selectedShares: [],
+        commitment,
         recovered: null,
+        verified: null,
         status: `成功: ${shares.length}個のシェアを作成しました`,
         success: true
       }));
@@ -157,7 +174,7 @@ function CryptoTester() {
   };
 
   // 選択したシェアから秘密を復元
-  const recoverSecretFromShares = () => {
+  const recoverSecretFromShares = async () => {
     try {
       const selectedShares = shamirTestState.shares.filter(share => 
         shamirTestState.selectedShares.includes(share.id)
@@ -172,11 +189,18 @@ function CryptoTester() {
         return;
       }
       
-      const recovered = crypto.combineShares(selectedShares);
+      // 単語リスト表示時は単語リスト形式から復元（書き写したシェアの入力を想定）
+      const recovered = crypto.combineShares(
+        shamirTestState.showMnemonic
+          ? selectedShares.map(share => crypto.shareToMnemonic(share))
+          : selectedShares
+      );
+      const verified = await crypto.verifyRecoveredSecret(recovered, shamirTestState.commitment);
       
       setShamirTestState(prev => ({
         ...prev,
         recovered,
+        verified,
         status: '成功: 秘密情報を復元しました',
         success: true
       }));
@@ -270,6 +294,7 @@ function CryptoTester() {
             {symmetricTestState.success && (
               <>
                 <p><strong>暗号化キー:</strong> {symmetricTestState.key.substring(0, 15)}...</p>
+                <p><strong>鍵ID:</strong> {crypto.formatFingerprint(symmetricTestState.encrypted.keyId)}</p>
                 <p><strong>暗号化データ:</strong> {JSON.stringify(symmetricTestState.encrypted).substring(0, 30)}...</p>
                 <p><strong>復号データ:</strong> {JSON.stringify(symmetricTestState.decrypted)}</p>
               </>
@@ -301,7 +326,8 @@ function CryptoTester() {
               <>
                 <p><strong>公開鍵:</strong> {asymmetricTestState.keyPair.publicKey.substring(0, 15)}...</p>
                 <p><strong>秘密鍵:</strong> {asymmetricTestState.keyPair.privateKey.substring(0, 15)}...</p>
-                <p><strong>暗号化データ:</strong> {asymmetricTestState.encrypted.substring(0, 30)}...</p>
+                <p><strong>鍵ID:</strong> {crypto.formatFingerprint(asymmetricTestState.keyPair.fingerprint)}</p>
+                <p><strong>暗号化データ:</strong> {JSON.stringify(asymmetricTestState.encrypted).substring(0, 30)}...</p>
                 <p><strong>復号データ:</strong> {JSON.stringify(asymmetricTestState.decrypted)}</p>
               </>
             )}
@@ -327,7 +353,7 @@ function CryptoTester() {
             <input
               type="number"
               min="2"
-              max="10"
+              max={MAX_UI_SHARES[shamirTestState.bits]}
               value={shamirTestState.totalShares}
               onChange={(e) => setShamirTestState(prev => ({ ...prev, totalShares: parseInt(e.target.value) }))}
             />
@@ -342,6 +368,16 @@ function CryptoTester() {
               onChange={(e) => setShamirTestState(prev => ({ ...prev, threshold: parseInt(e.target.value) }))}
             />
           </div>
+          <div className="form-group">
+            <label>有限体:</label>
+            <select
+              value={shamirTestState.bits}
+              onChange={(e) => setShamirTestState(prev => ({ ...prev, bits: parseInt(e.target.value) }))}
+            >
+              <option value={8}>GF(2^8)（最大255シェア）</option>
+              <option value={16}>GF(2^16)（この画面では最大{MAX_UI_SHARES[16]}シェア）</option>
+            </select>
+          </div>
           <button onClick={testShamirSecretSharing}>シェア作成</button>
         </div>
         
@@ -350,6 +386,14 @@ function CryptoTester() {
             <p><strong>ステータス:</strong> {shamirTestState.status}</p>
             <div className="shares-container">
               <h3>シェア一覧 (復元に{shamirTestState.threshold}個必要):</h3>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={shamirTestState.showMnemonic}
+                  onChange={(e) => setShamirTestState(prev => ({ ...prev, showMnemonic: e.target.checked }))}
+                />
+                単語リストで表示
+              </label>
               <ul className="shares-list">
                 {shamirTestState.shares.map((share, index) => (
                   <li key={share.id}>
@@ -359,7 +403,9 @@ function CryptoTester() {
                         checked={shamirTestState.selectedShares.includes(share.id)}
                         onChange={() => toggleShareSelection(share.id)}
                       />
-                      シェア {index + 1}: {share.value.substring(0, 15)}...
+                      シェア {index + 1}: {shamirTestState.showMnemonic
+                        ? crypto.shareToMnemonic(share)
+                        : `${share.value.substring(0, 15)}...${share.value.slice(-8)}`}
                     </label>
                   </li>
                 ))}
@@ -375,6 +421,7 @@ function CryptoTester() {
                 <div className="recovery-result">
                   <p><strong>復元された秘密:</strong> {shamirTestState.recovered}</p>
                   <p><strong>一致:</strong> {shamirTestState.recovered === shamirTestState.secret ? '✅ はい' : '❌ いいえ'}</p>
+                  <p><strong>コミットメント検証:</strong> {shamirTestState.verified ? '✅ 成功' : '❌ 失敗'}</p>
                 </div>
               )}
             </div>
@@ -0,0 +1,302 @@
+// src/services/guardian-approvals.js
+
+import { utils } from 'ethers';
+// Ethereumアカウントによるガーディアンの署名付き承認
+// リカバリーセッションの承認（RecoveryApproval）とシェアの提供（ShareRelease）を、
+// ガーディアンのウォレットでEIP-712（型付きデータ）またはEIP-191（personal_sign）署名します
+//
+// 手順:
+//   1. createApprovalPayload / createShareReleasePayload で署名する内容を作成する
+//   2. ガーディアン: signGuardianApproval で ethers の Wallet により署名する
+//   3. 要求者・バックエンド: verifyGuardianApproval で署名者が登録済みのガーディアンか確認する
+//
+// ペイロードと署名はJSONでそのまま中継できます。
+
+const APPROVAL_VERSION = 1;
+const APPROVAL_DOMAIN_NAME = 'Guardian Recovery';
+const APPROVAL_SCHEMES = ['eip712', 'eip191'];
+const DEFAULT_APPROVAL_TTL = 60 * 60; // 1時間（秒）
+
+// EIP-712の型定義（EIP712Domainはethersが自動で付与する）
+const APPROVAL_TYPES = {
+  RecoveryApproval: [
+    { name: 'sessionId', type: 'string' },
+    { name: 'splitId', type: 'string' },
+    { name: 'sessionKey', type: 'bytes32' },
+    { name: 'guardian', type: 'address' },
+    { name: 'issuedAt', type: 'uint256' },
+    { name: 'expiresAt', type: 'uint256' }
+  ],
+  ShareRelease: [
+    { name: 'sessionId', type: 'string' },
+    { name: 'guardian', type: 'address' },
+    { name: 'x', type: 'uint16' },
+    { name: 'responseHash', type: 'bytes32' },
+    { name: 'issuedAt', type: 'uint256' },
+    { name: 'expiresAt', type: 'uint256' }
+  ]
+};
+
+/**
+ * 署名ドメインを作成
+ * @param {Object} options - オプション
+ * @param {number} [options.chainId] - チェーンID（指定した場合はドメインに含める）
+ * @returns {Object} EIP-712ドメイン
+ */
+const approvalDomain = (options) => {
+  const domain = { name: APPROVAL_DOMAIN_NAME, version: String(APPROVAL_VERSION) };
+  if (options.chainId !== undefined) {
+    domain.chainId = options.chainId;
+  }
+  return domain;
+};
+
+/**
+ * 署名の発行時刻と有効期限を計算（UNIX時間、秒）
+ * @param {Object} options - オプション
+ * @param {number} [options.ttl] - 有効期間（秒、既定は1時間）
+ * @returns {Object} 発行時刻と有効期限（issuedAt, expiresAt）
+ */
+const approvalValidity = (options) => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const ttl = options.ttl === undefined ? DEFAULT_APPROVAL_TTL : options.ttl;
+  return { issuedAt, expiresAt: issuedAt + ttl };
+};
+
+/**
+ * メッセージを解析
+ * @param {Object|string} message - メッセージ（オブジェクトまたはJSON文字列）
+ * @returns {Object} メッセージ
+ */
+const parseMessage = (message) => {
+  return typeof message === 'string' ? JSON.parse(message) : message;
+};
+
+/**
+ * リカバリーセッションの承認ペイロードを作成
+ * @param {Object|string} request - リカバリーセッション要求（createRecoverySessionのrequest）
+ * @param {string} guardianAddress - ガーディアンのEthereumアドレス
+ * @param {Object} [options] - オプション
+ * @param {number} [options.chainId] - チェーンID
+ * @param {number} [options.ttl] - 承認の有効期間（秒、既定は1時間）
+ * @returns {Object} 署名するペイロード（domain, types, primaryType, message）
+ */
+export const createApprovalPayload = (request, guardianAddress, options = {}) => {
+  const sessionRequest = parseMessage(request);
+  if (!sessionRequest || sessionRequest.type !== 'recovery-session-request') {
+    throw new Error('リカバリーセッション要求ではありません');
+  }
+
+  return {
+    domain: approvalDomain(options),
+    types: { RecoveryApproval: APPROVAL_TYPES.RecoveryApproval },
+    primaryType: 'RecoveryApproval',
+    message: {
+      sessionId: sessionRequest.sessionId,
+      splitId: sessionRequest.splitId || '',
+      sessionKey: `0x${sessionRequest.fingerprint}`,
+      guardian: utils.getAddress(guardianAddress),
+      ...approvalValidity(options)
+    }
+  };
+};
+
+/**
+ * 値を正規化したJSONに変換（オブジェクトのキーを昇順に並べ、undefinedのプロパティは省く）
+ * 中継でキーの順序が変わっても同じ文字列になる
+ * @param {*} value - JSONで表現できる値
+ * @returns {string} 正規化したJSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * シェア応答のハッシュを計算（keccak256、応答の正規化したJSONに対して）
+ * 応答に添付された署名（approval）はハッシュの対象に含めない
+ * @param {Object} response - リカバリーセッションの応答
+ * @returns {string} ハッシュ（0x付き16進数）
+ */
+export const hashShareResponse = (response) => {
+  const { approval, ...content } = response;
+  return utils.keccak256(utils.toUtf8Bytes(canonicalJson(content)));
+};
+
+/**
+ * シェア提供のペイロードを作成
+ * 署名は応答のハッシュに対して行うため、中継中に応答が差し替えられると検証に失敗する
+ * @param {Object|string} response - リカバリーセッションの応答（createShareResponseの出力）
+ * @param {string} guardianAddress - ガーディアンのEthereumアドレス
+ * @param {Object} [options] - オプション
+ * @param {number} [options.chainId] - チェーンID
+ * @param {number} [options.ttl] - 有効期間（秒、既定は1時間）
+ * @returns {Object} 署名するペイロード（domain, types, primaryType, message）
+ */
+export const createShareReleasePayload = (response, guardianAddress, options = {}) => {
+  const sessionResponse = parseMessage(response);
+  if (!sessionResponse || sessionResponse.type !== 'recovery-session-response') {
+    throw new Error('リカバリーセッションの応答ではありません');
+  }
+
+  return {
+    domain: approvalDomain(options),
+    types: { ShareRelease: APPROVAL_TYPES.ShareRelease },
+    primaryType: 'ShareRelease',
+    message: {
+      sessionId: sessionResponse.sessionId,
+      guardian: utils.getAddress(guardianAddress),
+      x: sessionResponse.x,
+      responseHash: hashShareResponse(sessionResponse),
+      ...approvalValidity(options)
+    }
+  };
+};
+
+/**
+ * EIP-191署名用の文面を作成（ウォレットの画面に表示される）
+ * @param {Object} payload - 署名するペイロード
+ * @returns {string} 署名する文面
+ */
+export const formatApprovalText = (payload) => {
+  const { domain, primaryType, message } = payload;
+  const lines = [`${domain.name} v${domain.version}`, primaryType];
+  if (domain.chainId !== undefined) {
+    lines.push(`chainId: ${domain.chainId}`);
+  }
+  payload.types[primaryType].forEach(({ name }) => {
+    lines.push(`${name}: ${message[name]}`);
+  });
+  return lines.join('\n');
+};
+
+/**
+ * ペイロードにガーディアンのウォレットで署名
+ * @param {Object} wallet - ethersのWallet（またはSigner）
+ * @param {Object} payload - createApprovalPayload / createShareReleasePayloadの出力
+ * @param {Object} [options] - オプション
+ * @param {string} [options.scheme] - 'eip712'（既定）または 'eip191'
+ * @returns {Promise<Object>} 署名付きの承認（payload, scheme, signature）
+ */
+export const signGuardianApproval = async (wallet, payload, options = {}) => {
+  const scheme = options.scheme || 'eip712';
+  if (!APPROVAL_SCHEMES.includes(scheme)) {
+    throw new Error(`未対応の署名方式です: ${scheme}`);
+  }
+
+  try {
+    const signer = utils.getAddress(await wallet.getAddress());
+    if (signer !== utils.getAddress(payload.message.guardian)) {
+      throw new Error(`ウォレットのアドレス（${signer}）がガーディアン（${payload.message.guardian}）と一致しません`);
+    }
+
+    const signature = scheme === 'eip712'
+      ? await wallet._signTypedData(payload.domain, payload.types, payload.message)
+      : await wallet.signMessage(formatApprovalText(payload));
+
+    return {
+      version: APPROVAL_VERSION,
+      type: 'guardian-approval',
+      scheme,
+      payload,
+      signature
+    };
+  } catch (error) {
+    console.error('ガーディアンの署名に失敗しました:', error);
+    throw new Error('ガーディアンの署名に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * 署名付きの承認を検証
+ * 署名から復元したアドレスがペイロードのガーディアンと一致し、登録済みのガーディアンであること、
+ * 署名ドメイン（名前・バージョン・チェーンID）とセッションが一致することを確認する。
+ * 署名者や内容が一致しない場合はvalid: falseと理由を返し、形式が不正な場合は例外を投げる
+ * @param {Object|string} approval - signGuardianApprovalの出力（オブジェクトまたはJSON文字列）
+ * @param {Array<string>} guardianAddresses - 登録済みのガーディアンのEthereumアドレス
+ * @param {Object} options - オプション
+ * @param {string} options.sessionId - 期待するセッションID（必須、別のセッションへの承認の使い回しを防ぐ）
+ * @param {string} [options.expectedPrimaryType] - 期待する承認の種類（'RecoveryApproval'または'ShareRelease'）
+ * @param {number} [options.chainId] - 期待するチェーンID（省略時はチェーンIDのない署名のみ受け付ける）
+ * @param {Object} [options.response] - シェア提供の場合、署名対象の応答（ShareReleaseでは必須）
+ * @returns {Object} 検証結果（valid, signer, reason）
+ */
+export const verifyGuardianApproval = (approval, guardianAddresses, options = {}) => {
+  try {
+    if (typeof options.sessionId !== 'string' || options.sessionId === '') {
+      throw new Error('期待するセッションIDの指定が必要です');
+    }
+    if (options.expectedPrimaryType !== undefined && !APPROVAL_TYPES[options.expectedPrimaryType]) {
+      throw new Error(`未対応の承認の種類です: ${options.expectedPrimaryType}`);
+    }
+
+    const signed = parseMessage(approval);
+    if (!signed || signed.type !== 'guardian-approval' || signed.version !== APPROVAL_VERSION) {
+      throw new Error('未対応の承認形式です');
+    }
+    if (!APPROVAL_SCHEMES.includes(signed.scheme)) {
+      throw new Error(`未対応の署名方式です: ${signed.scheme}`);
+    }
+
+    const { payload, signature } = signed;
+    if (!APPROVAL_TYPES[payload.primaryType]) {
+      throw new Error(`未対応の承認の種類です: ${payload.primaryType}`);
+    }
+    if (payload.primaryType === 'ShareRelease' && options.response === undefined) {
+      throw new Error('シェア提供の検証には署名対象の応答の指定が必要です');
+    }
+    // ペイロードの型定義は信頼せず、既知の型定義で検証する
+    const types = { [payload.primaryType]: APPROVAL_TYPES[payload.primaryType] };
+    const signer = signed.scheme === 'eip712'
+      ? utils.verifyTypedData(payload.domain, types, payload.message, signature)
+      : utils.verifyMessage(formatApprovalText({ ...payload, types }), signature);
+
+    const fail = (reason) => ({ valid: false, signer, reason });
+    if (signer !== utils.getAddress(payload.message.guardian)) {
+      return fail('署名者がペイロードのガーディアンと一致しません');
+    }
+    if (!guardianAddresses.some(address => utils.getAddress(address) === signer)) {
+      return fail(`登録されていないガーディアンの署名です: ${signer}`);
+    }
+    if (payload.domain.name !== APPROVAL_DOMAIN_NAME) {
+      return fail(`署名ドメインが一致しません: ${payload.domain.name}`);
+    }
+    if (payload.domain.version !== String(APPROVAL_VERSION)) {
+      return fail(`署名ドメインのバージョンが一致しません: ${payload.domain.version}`);
+    }
+    if (payload.domain.chainId !== options.chainId) {
+      return fail(`チェーンIDが一致しません（署名: ${payload.domain.chainId}、期待値: ${options.chainId}）`);
+    }
+    if (options.expectedPrimaryType !== undefined && payload.primaryType !== options.expectedPrimaryType) {
+      return fail(`承認の種類が一致しません: ${payload.primaryType}`);
+    }
+    if (Math.floor(Date.now() / 1000) > payload.message.expiresAt) {
+      return fail('承認の有効期限が切れています');
+    }
+    if (payload.message.sessionId !== options.sessionId) {
+      return fail('別のセッションへの承認です');
+    }
+    if (options.response !== undefined) {
+      if (payload.primaryType !== 'ShareRelease') {
+        return fail('シェア提供の署名ではありません');
+      }
+      if (payload.message.responseHash !== hashShareResponse(parseMessage(options.response))) {
+        return fail('署名された応答と受け取った応答が一致しません');
+      }
+    }
+
+    return { valid: true, signer, reason: null };
+  } catch (error) {
+    console.error('承認の検証に失敗しました:', error);
+    throw new Error('承認の検証に失敗しました: ' + error.message);
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+import './test-setup';
+import { Wallet } from 'ethers';
+import { generateRecoveryData } from './improved-crypto';
+import { createRecoverySession, createShareResponse } from './recovery-session';
+import {
+  createApprovalPayload,
+  createShareReleasePayload,
+  hashShareResponse,
+  signGuardianApproval,
+  verifyGuardianApproval
+} from './guardian-approvals';
+
+describe('ガーディアンの署名付き承認', () => {
+  const guardians = [Wallet.createRandom(), Wallet.createRandom()];
+  const addresses = guardians.map(wallet => wallet.address);
+
+  test.each(['eip712', 'eip191'])('登録済みのガーディアンの承認を検証できる: %s', async (scheme) => {
+    const { publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request } = await createRecoverySession(publicRecoveryData);
+    const approval = await signGuardianApproval(
+      guardians[0],
+      createApprovalPayload(request, addresses[0]),
+      { scheme }
+    );
+
+    const relayed = JSON.parse(JSON.stringify(approval));
+    expect(verifyGuardianApproval(relayed, addresses, { sessionId: request.sessionId })).toEqual({
+      valid: true,
+      signer: addresses[0],
+      reason: null
+    });
+    expect(verifyGuardianApproval(relayed, addresses, { sessionId: 'session-other' }).valid).toBe(false);
+  });
+
+  test('登録されていないアカウントの署名と、差し替えられた応答を拒否する', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request } = await createRecoverySession(publicRecoveryData);
+    const stranger = Wallet.createRandom();
+
+    const { sessionId } = request;
+
+    const forged = await signGuardianApproval(stranger, createApprovalPayload(request, stranger.address));
+    expect(verifyGuardianApproval(forged, addresses, { sessionId }).reason).toContain('登録されていない');
+
+    const response = await createShareResponse(request, shares[0]);
+    const other = await createShareResponse(request, shares[1]);
+    const release = await signGuardianApproval(guardians[1], createShareReleasePayload(response, addresses[1]));
+    expect(verifyGuardianApproval(release, addresses, { sessionId, response }).valid).toBe(true);
+    expect(verifyGuardianApproval(release, addresses, { sessionId, response: other }).valid).toBe(false);
+  });
+
+  test('承認の種類・チェーンID・セッションの指定を確認する', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request } = await createRecoverySession(publicRecoveryData);
+    const { sessionId } = request;
+    const approval = await signGuardianApproval(
+      guardians[0],
+      createApprovalPayload(request, addresses[0], { chainId: 1 })
+    );
+
+    expect(verifyGuardianApproval(approval, addresses, { sessionId, chainId: 1 }).valid).toBe(true);
+    expect(verifyGuardianApproval(approval, addresses, { sessionId, chainId: 5 }).reason).toContain('チェーンID');
+    expect(verifyGuardianApproval(approval, addresses, { sessionId }).reason).toContain('チェーンID');
+    expect(verifyGuardianApproval(approval, addresses, {
+      sessionId,
+      chainId: 1,
+      expectedPrimaryType: 'ShareRelease'
+    }).reason).toContain('承認の種類が一致しません');
+    expect(() => verifyGuardianApproval(approval, addresses)).toThrow('セッションIDの指定が必要です');
+
+    const response = await createShareResponse(request, shares[0]);
+    const release = await signGuardianApproval(guardians[0], createShareReleasePayload(response, addresses[0]));
+    expect(() => verifyGuardianApproval(release, addresses, { sessionId })).toThrow('応答の指定が必要です');
+  });
+
+  test('応答のハッシュはキーの順序によらない', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request } = await createRecoverySession(publicRecoveryData);
+    const response = await createShareResponse(request, shares[0]);
+    const reordered = Object.fromEntries(Object.entries(response).reverse());
+
+    expect(JSON.stringify(reordered)).not.toBe(JSON.stringify(response));
+    expect(hashShareResponse(reordered)).toBe(hashShareResponse(response));
+    expect(hashShareResponse({ ...response, x: response.x + 1 })).not.toBe(hashShareResponse(response));
+  });
+});
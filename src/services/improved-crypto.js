@@ -1,6 +1,8 @@
 // src/services/improved-crypto.js
+/* global BigInt */
 
 import { v4 as uuidv4 } from 'uuid';
+import { wordlists, utils } from 'ethers';
 // secrets.js-grempeの代わりに使用する改良版シャミア秘密分散の実装
 // このモジュールは外部ライブラリに依存せず、より安全な実装を提供します
 
@@ -38,16 +40,239 @@ export const importKey = async (keyHex) => {
   );
 };
 
+/**
+ * 対称鍵のフィンガープリントを計算（生の鍵のSHA-256）
+ * 暗号文エンベロープのkeyIdとして記録され、復号時に鍵の取り違えを検出するために使う
+ * @param {string} keyHex - 16進数形式のキー
+ * @returns {Promise<string>} フィンガープリント（16進数）
+ */
+export const getKeyFingerprint = async (keyHex) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', hexToBytes(keyHex));
+  return bytesToHex(new Uint8Array(digest));
+};
+
+/**
+ * 公開鍵のフィンガープリントを計算（SPKIのSHA-256、ECDH公開鍵はraw形式のSHA-256）
+ * @param {string} publicKeyHex - 16進数形式の公開鍵
+ * @returns {Promise<string>} フィンガープリント（16進数）
+ */
+export const getPublicKeyFingerprint = async (publicKeyHex) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', hexToBytes(publicKeyHex));
+  return bytesToHex(new Uint8Array(digest));
+};
+
+/**
+ * フィンガープリントを人が読みやすい短い形式に変換
+ * 先頭64ビットを4桁ずつ区切って表示する（例: 3F2A:91BC:0D44:E7A1）
+ * @param {string} fingerprint - フィンガープリント（16進数）
+ * @returns {string} 短い形式のフィンガープリント
+ */
+export const formatFingerprint = (fingerprint) => {
+  return (fingerprint || '')
+    .substring(0, 16)
+    .toUpperCase()
+    .match(/.{1,4}/g)
+    .join(':');
+};
+
+/**
+ * 暗号文に記録された鍵IDと指定された鍵のIDを比較
+ * 一致しない場合は、認証エラーの前に「鍵の誤り」として失敗させる
+ * @param {string|null} expectedKeyId - 暗号文に記録された鍵ID
+ * @param {string} actualKeyId - 指定された鍵のID
+ */
+const assertKeyId = (expectedKeyId, actualKeyId) => {
+  if (expectedKeyId && expectedKeyId !== actualKeyId) {
+    throw new Error(
+      `鍵が一致しません: 暗号化に使用された鍵は ${formatFingerprint(expectedKeyId)}、` +
+      `指定された鍵は ${formatFingerprint(actualKeyId)} です`
+    );
+  }
+};
+
+// 暗号文エンベロープの現行バージョン
+export const ENVELOPE_VERSION = 1;
+
+/**
+ * 暗号文エンベロープを作成
+ * すべての暗号化関数はこの形式で結果を返す
+ * @param {Object} fields - エンベロープの内容
+ * @param {string} fields.algorithm - 暗号アルゴリズム（AES-GCM, RSA-OAEPなど）
+ * @param {string} fields.ciphertext - 暗号文（16進数）
+ * @param {string} [fields.nonce] - ノンス/IV（16進数）
+ * @param {string} [fields.aad] - 追加認証データ（16進数）
+ * @param {string} [fields.keyId] - 鍵識別子
+ * @param {string} [fields.contentType] - ペイロードの種類（json, text, uint8array, arraybuffer, blob）
+ * @param {string} [fields.mimeType] - Blobの場合のMIMEタイプ
+ * @param {...any} [fields.extra] - アルゴリズム固有の項目（wrappedKey、kdfなど）
+ * @returns {Object} エンベロープ
+ */
+const createEnvelope = ({
+  algorithm,
+  ciphertext,
+  nonce = null,
+  aad = null,
+  keyId = null,
+  contentType = 'json',
+  mimeType,
+  ...extra
+}) => {
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    algorithm,
+    keyId,
+    nonce,
+    aad,
+    encoding: 'hex',
+    contentType,
+    ciphertext
+  };
+  if (contentType === 'blob') {
+    envelope.mimeType = mimeType || '';
+  }
+  return Object.assign(envelope, extra);
+};
+
+/**
+ * 暗号文エンベロープを解析して検証
+ * 旧形式の { encryptedData, iv } オブジェクト（AES-GCM）も現行形式に変換して返す。
+ * JSON文字列も受け付ける
+ * @param {Object|string} input - エンベロープ
+ * @returns {Object} 正規化されたエンベロープ（旧形式の場合はlegacy: true）
+ */
+export const parseEnvelope = (input) => {
+  let obj = input;
+  if (typeof input === 'string') {
+    try {
+      obj = JSON.parse(input);
+    } catch (error) {
+      throw new Error('エンベロープのJSONを解析できません');
+    }
+  }
+  
+  if (!obj || typeof obj !== 'object') {
+    throw new Error('エンベロープの形式が不正です');
+  }
+  
+  // 旧形式: { encryptedData, iv, aad?, contentType? }
+  if (obj.version === undefined) {
+    if (typeof obj.encryptedData !== 'string' || typeof obj.iv !== 'string') {
+      throw new Error('エンベロープの形式が不正です');
+    }
+    return {
+      ...createEnvelope({
+        algorithm: 'AES-GCM',
+        ciphertext: obj.encryptedData,
+        nonce: obj.iv,
+        aad: obj.aad || null,
+        contentType: obj.contentType || 'json',
+        mimeType: obj.mimeType
+      }),
+      legacy: true
+    };
+  }
+  
+  if (obj.version !== ENVELOPE_VERSION) {
+    throw new Error(`未対応のエンベロープバージョンです: ${obj.version}`);
+  }
+  if (obj.encoding !== 'hex') {
+    throw new Error(`未対応のエンコーディングです: ${obj.encoding}`);
+  }
+  if (typeof obj.algorithm !== 'string' || typeof obj.ciphertext !== 'string') {
+    throw new Error('エンベロープに必須項目がありません');
+  }
+  
+  return { ...obj, legacy: false };
+};
+
+/**
+ * 追加認証データ（AAD）をバイト配列に変換
+ * 文字列はUTF-8、バイナリはそのまま、それ以外はJSON文字列として扱う
+ * @param {string|Uint8Array|ArrayBuffer|Object} additionalData - 追加認証データ
+ * @returns {Uint8Array} バイト配列
+ */
+const encodeAdditionalData = (additionalData) => {
+  if (additionalData instanceof Uint8Array) {
+    return additionalData;
+  }
+  if (additionalData instanceof ArrayBuffer) {
+    return new Uint8Array(additionalData);
+  }
+  if (typeof additionalData === 'string') {
+    return new TextEncoder().encode(additionalData);
+  }
+  return new TextEncoder().encode(JSON.stringify(additionalData));
+};
+
+/**
+ * 暗号化するデータをバイト配列に変換
+ * Uint8Array・ArrayBuffer・Blob（およびその他のArrayBufferビュー）はバイナリのまま扱い、
+ * それ以外はJSON文字列に変換する
+ * @param {any} data - 暗号化するデータ
+ * @returns {Promise<Object>} バイト配列とコンテンツタイプ（bytes, contentType, mimeType）
+ */
+const serializePayload = async (data) => {
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return {
+      bytes: new Uint8Array(await data.arrayBuffer()),
+      contentType: 'blob',
+      mimeType: data.type || ''
+    };
+  }
+  if (data instanceof ArrayBuffer) {
+    return { bytes: new Uint8Array(data), contentType: 'arraybuffer' };
+  }
+  if (ArrayBuffer.isView(data)) {
+    return {
+      bytes: new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+      contentType: 'uint8array'
+    };
+  }
+  
+  // バイナリ以外はJSONとして扱う
+  return {
+    bytes: new TextEncoder().encode(JSON.stringify(data)),
+    contentType: 'json'
+  };
+};
+
+/**
+ * 復号したバイト列をコンテンツタイプに応じた形に戻す
+ * @param {ArrayBuffer} buffer - 復号されたデータ
+ * @param {string} contentType - コンテンツタイプ（json, uint8array, arraybuffer, blob）
+ * @param {string} [mimeType] - Blobの場合のMIMEタイプ
+ * @returns {any} 復元されたデータ
+ */
+const deserializePayload = (buffer, contentType = 'json', mimeType = '') => {
+  switch (contentType) {
+    case 'uint8array':
+      return new Uint8Array(buffer);
+    case 'arraybuffer':
+      return buffer;
+    case 'blob':
+      return new Blob([buffer], { type: mimeType });
+    case 'json':
+      return JSON.parse(new TextDecoder().decode(buffer));
+    default:
+      throw new Error(`未対応のコンテンツタイプです: ${contentType}`);
+  }
+};
+
 /**
  * データをキーで暗号化
+ * Uint8Array・ArrayBuffer・Blobはバイナリとしてそのまま暗号化され、
+ * それ以外のデータはJSON文字列として暗号化される。種類はcontentTypeとしてエンベロープに記録される。
+ * additionalDataを指定すると、AES-GCMの追加認証データとして暗号文に結び付けられる
+ * （レコードID、ユーザーID、スキーマバージョンなど）。AADは暗号化されず、
+ * 16進数でエンベロープに含まれる
  * @param {any} data - 暗号化するデータ
  * @param {string} keyHex - 暗号化キー（16進数）
- * @returns {Promise<Object>} 暗号化されたデータ（iv含む）
+ * @param {string|Uint8Array|ArrayBuffer|Object} [additionalData] - 追加認証データ（省略可）
+ * @returns {Promise<Object>} 暗号文エンベロープ（createEnvelopeの形式）
  */
-export const encryptWithKey = async (data, keyHex) => {
-  // データをJSON文字列に変換
-  const dataString = JSON.stringify(data);
-  const dataBuffer = new TextEncoder().encode(dataString);
+export const encryptWithKey = async (data, keyHex, additionalData = null) => {
+  // データをバイト配列に変換（バイナリ以外はJSON文字列）
+  const { bytes: dataBuffer, contentType, mimeType } = await serializePayload(data);
   
   // キーをインポート
   const key = await importKey(keyHex);
@@ -55,9 +280,19 @@ export const encryptWithKey = async (data, keyHex) => {
   // 初期化ベクトル（IV）を生成
   const iv = window.crypto.getRandomValues(new Uint8Array(12));
   
+  // 追加認証データ（指定された場合のみ）
+  const aadBytes = additionalData !== null && additionalData !== undefined
+    ? encodeAdditionalData(additionalData)
+    : null;
+  
+  const algorithm = { name: 'AES-GCM', iv };
+  if (aadBytes) {
+    algorithm.additionalData = aadBytes;
+  }
+  
   // 暗号化を実行
   const encryptedBuffer = await window.crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv },
+    algorithm,
     key,
     dataBuffer
   );
@@ -71,45 +306,76 @@ export const encryptWithKey = async (data, keyHex) => {
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
   
-  // 暗号化データとIVを返す
-  return {
-    encryptedData: encryptedHex,
-    iv: ivHex
-  };
+  // 暗号文エンベロープとして返す
+  return createEnvelope({
+    algorithm: 'AES-GCM',
+    ciphertext: encryptedHex,
+    nonce: ivHex,
+    aad: aadBytes ? bytesToHex(aadBytes) : null,
+    keyId: await getKeyFingerprint(keyHex),
+    contentType,
+    mimeType
+  });
 };
 
 /**
  * 暗号化されたデータをキーで復号
- * @param {Object} encryptedObj - 暗号化されたデータオブジェクト（encryptedData, iv）
+ * AADは常に呼び出し側が指定したadditionalDataで検証する。暗号文を別のレコードに
+ * コピーした場合など、暗号化時のAADと異なれば認証に失敗する。
+ * エンベロープに含まれるAADは参考情報であり検証には使用しないため、
+ * AAD付きで暗号化されたデータをadditionalDataなしで復号しようとするとエラーになる。
+ * 戻り値の形は暗号化時のcontentTypeに従う（contentTypeのない旧形式はJSON）。
+ * エンベロープに鍵IDが記録されていて指定された鍵と一致しない場合は、
+ * 「鍵が一致しません」エラーとして即座に失敗する
+ * @param {Object|string} encryptedObj - 暗号文エンベロープ（旧形式の { encryptedData, iv } も可）
  * @param {string} keyHex - 復号キー（16進数）
+ * @param {string|Uint8Array|ArrayBuffer|Object} [additionalData] - 期待する追加認証データ（省略可）
  * @returns {Promise<any>} 復号されたデータ
  */
-export const decryptWithKey = async (encryptedObj, keyHex) => {
+export const decryptWithKey = async (encryptedObj, keyHex, additionalData = null) => {
+  const envelope = parseEnvelope(encryptedObj);
+  
+  // 鍵IDが記録されていれば、復号前に鍵の取り違えを検出
+  if (envelope.keyId) {
+    assertKeyId(envelope.keyId, await getKeyFingerprint(keyHex));
+  }
+  
+  // エンベロープ内のAADで自分自身を検証しても意味がないため、呼び出し側の指定を必須にする
+  const hasAdditionalData = additionalData !== null && additionalData !== undefined;
+  if (envelope.aad && !hasAdditionalData) {
+    throw new Error('この暗号文は追加認証データ付きで暗号化されています。復号時にadditionalDataを指定してください');
+  }
+  
   try {
-    const { encryptedData, iv } = encryptedObj;
+    if (envelope.algorithm !== 'AES-GCM') {
+      throw new Error(`アルゴリズムが一致しません: ${envelope.algorithm}`);
+    }
+    const { ciphertext, nonce, contentType, mimeType } = envelope;
     
     // 16進数からバイナリデータに変換
-    const encryptedBuffer = new Uint8Array(
-      encryptedData.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    ).buffer;
+    const encryptedBuffer = hexToBytes(ciphertext);
+    const ivBuffer = hexToBytes(nonce);
     
-    const ivBuffer = new Uint8Array(
-      iv.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    );
+    // 呼び出し側が期待するAADで認証する
+    const aadBytes = hasAdditionalData ? encodeAdditionalData(additionalData) : null;
+    
+    const algorithm = { name: 'AES-GCM', iv: ivBuffer };
+    if (aadBytes) {
+      algorithm.additionalData = aadBytes;
+    }
     
     // キーをインポート
     const key = await importKey(keyHex);
     
     // 復号を実行
     const decryptedBuffer = await window.crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: ivBuffer },
+      algorithm,
       key,
       encryptedBuffer
     );
     
-    // バッファをJSONに変換
-    const decryptedText = new TextDecoder().decode(decryptedBuffer);
-    return JSON.parse(decryptedText);
+    // コンテンツタイプに応じた形に変換
+    return deserializePayload(decryptedBuffer, contentType, mimeType);
   } catch (error) {
     console.error('復号化に失敗しました:', error);
     throw new Error('復号化に失敗しました');
@@ -118,7 +384,7 @@ export const decryptWithKey = async (encryptedObj, keyHex) => {
 
 /**
  * RSA鍵ペアを生成
- * @returns {Promise<Object>} キーペア（publicKey, privateKey）
+ * @returns {Promise<Object>} キーペア（publicKey, privateKey, fingerprint）
  */
 export const generateKeyPair = async () => {
   try {
@@ -157,7 +423,8 @@ export const generateKeyPair = async () => {
     
     return {
       privateKey: privateKeyHex,
-      publicKey: publicKeyHex
+      publicKey: publicKeyHex,
+      fingerprint: await getPublicKeyFingerprint(publicKeyHex)
     };
   } catch (error) {
     console.error('キーペア生成に失敗しました:', error);
@@ -225,15 +492,49 @@ export const importPrivateKey = async (privateKeyHex) => {
 
 /**
  * 公開鍵でデータを暗号化
+ * デフォルトはハイブリッド方式: ランダムなAES-256-GCMコンテンツキーでデータを暗号化し、
+ * コンテンツキーを受信者のRSA公開鍵（RSA-OAEP）でラップする。データサイズの制限はなく、
+ * バイナリデータ（Uint8Array・ArrayBuffer・Blob）もencryptWithKeyと同様に扱える。
+ * mode: 'direct' を指定するとデータを直接RSA-OAEPで暗号化する（2048ビット鍵で約190バイトまで）
  * @param {any} data - 暗号化するデータ
  * @param {string} publicKeyHex - 16進数形式の公開鍵
- * @returns {Promise<string>} 暗号化されたデータ（16進数）
+ * @param {Object} [options] - オプション
+ * @param {string} [options.mode] - 'hybrid'（デフォルト）または 'direct'
+ * @returns {Promise<Object>} 暗号文エンベロープ（algorithm: RSA-OAEP+AES-GCM または RSA-OAEP）
  */
-export const encryptWithPublicKey = async (data, publicKeyHex) => {
+export const encryptWithPublicKey = async (data, publicKeyHex, options = {}) => {
+  const mode = options.mode || 'hybrid';
+  if (mode !== 'hybrid' && mode !== 'direct') {
+    throw new Error(`未対応の暗号化モードです: ${mode}`);
+  }
+  
   try {
     // 公開鍵をインポート
     const publicKey = await importPublicKey(publicKeyHex);
     
+    if (mode === 'hybrid') {
+      // コンテンツキーを生成してデータを暗号化
+      const contentKeyHex = await generateEncryptionKey();
+      const inner = await encryptWithKey(data, contentKeyHex);
+      
+      // コンテンツキーをRSA-OAEPでラップ
+      const wrappedKeyBuffer = await window.crypto.subtle.encrypt(
+        { name: 'RSA-OAEP' },
+        publicKey,
+        hexToBytes(contentKeyHex)
+      );
+      
+      return createEnvelope({
+        algorithm: 'RSA-OAEP+AES-GCM',
+        ciphertext: inner.ciphertext,
+        nonce: inner.nonce,
+        keyId: await getPublicKeyFingerprint(publicKeyHex),
+        contentType: inner.contentType,
+        mimeType: inner.mimeType,
+        wrappedKey: bytesToHex(new Uint8Array(wrappedKeyBuffer))
+      });
+    }
+    
     // データをJSON文字列に変換
     const dataString = JSON.stringify(data);
     const dataBuffer = new TextEncoder().encode(dataString);
@@ -245,31 +546,156 @@ export const encryptWithPublicKey = async (data, publicKeyHex) => {
       dataBuffer
     );
     
-    // バイナリデータを16進数に変換
-    return Array.from(new Uint8Array(encryptedBuffer))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+    // 暗号文エンベロープとして返す
+    return createEnvelope({
+      algorithm: 'RSA-OAEP',
+      ciphertext: bytesToHex(new Uint8Array(encryptedBuffer)),
+      keyId: await getPublicKeyFingerprint(publicKeyHex)
+    });
   } catch (error) {
     console.error('公開鍵暗号化に失敗しました:', error);
     throw new Error('公開鍵暗号化に失敗しました');
   }
 };
 
+/**
+ * 複数の受信者向けにデータを暗号化
+ * ペイロードは1つのコンテンツキーで1回だけ暗号化し、コンテンツキーを受信者ごとに
+ * RSA-OAEPでラップする。各ラップ済みキーには受信者の公開鍵フィンガープリントが付く
+ * @param {any} data - 暗号化するデータ
+ * @param {Array<string>} publicKeyHexList - 受信者の公開鍵（16進数）の配列
+ * @returns {Promise<Object>} 暗号文エンベロープ（algorithm: RSA-OAEP+AES-GCM、recipients含む）
+ */
+export const encryptForRecipients = async (data, publicKeyHexList) => {
+  if (!Array.isArray(publicKeyHexList) || publicKeyHexList.length === 0) {
+    throw new Error('受信者の公開鍵が必要です');
+  }
+  
+  try {
+    // コンテンツキーを生成してデータを1回だけ暗号化
+    const contentKeyHex = await generateEncryptionKey();
+    const contentKeyBytes = hexToBytes(contentKeyHex);
+    const inner = await encryptWithKey(data, contentKeyHex);
+    
+    // 受信者ごとにコンテンツキーをラップ（同じ鍵は1回のみ）
+    const recipients = [];
+    for (const publicKeyHex of publicKeyHexList) {
+      const fingerprint = await getPublicKeyFingerprint(publicKeyHex);
+      if (recipients.some(recipient => recipient.fingerprint === fingerprint)) {
+        continue;
+      }
+      
+      const publicKey = await importPublicKey(publicKeyHex);
+      const wrappedKeyBuffer = await window.crypto.subtle.encrypt(
+        { name: 'RSA-OAEP' },
+        publicKey,
+        contentKeyBytes
+      );
+      
+      recipients.push({
+        fingerprint,
+        wrappedKey: bytesToHex(new Uint8Array(wrappedKeyBuffer))
+      });
+    }
+    
+    return createEnvelope({
+      algorithm: 'RSA-OAEP+AES-GCM',
+      ciphertext: inner.ciphertext,
+      nonce: inner.nonce,
+      contentType: inner.contentType,
+      mimeType: inner.mimeType,
+      recipients
+    });
+  } catch (error) {
+    console.error('複数受信者向け暗号化に失敗しました:', error);
+    throw new Error('複数受信者向け暗号化に失敗しました');
+  }
+};
+
 /**
  * 秘密鍵でデータを復号
- * @param {string} encryptedHex - 暗号化されたデータ（16進数）
- * @param {string} privateKeyHex - 16進数形式の秘密鍵
+ * ハイブリッド方式（RSA-OAEP+AES-GCM）と直接方式（RSA-OAEP）の両方に対応する。
+ * 複数受信者向けのエンベロープでは、秘密鍵に対応するフィンガープリントのラップ済みキーを使用する。
+ * 秘密鍵にはimportEncryptedPrivateKeyなどで得たCryptoKeyも指定できる
+ * （エクスポート不可の鍵ではフィンガープリントを計算できないため、各ラップ済みキーを順に試す）
+ * @param {Object|string} encrypted - 暗号文エンベロープ、または旧形式の暗号化データ（16進数）
+ * @param {string|CryptoKey} privateKeyHex - 16進数形式の秘密鍵、またはRSA-OAEPのCryptoKey
  * @returns {Promise<any>} 復号されたデータ
  */
-export const decryptWithPrivateKey = async (encryptedHex, privateKeyHex) => {
+export const decryptWithPrivateKey = async (encrypted, privateKeyHex) => {
   try {
-    // 秘密鍵をインポート
-    const privateKey = await importPrivateKey(privateKeyHex);
+    // 旧形式は暗号文の16進数文字列そのもの
+    const isLegacyHex = typeof encrypted === 'string' && /^[0-9a-fA-F]+$/.test(encrypted);
+    const envelope = isLegacyHex
+      ? { algorithm: 'RSA-OAEP', ciphertext: encrypted }
+      : parseEnvelope(encrypted);
+    if (envelope.algorithm !== 'RSA-OAEP' && envelope.algorithm !== 'RSA-OAEP+AES-GCM') {
+      throw new Error(`アルゴリズムが一致しません: ${envelope.algorithm}`);
+    }
+    
+    // 秘密鍵をインポート（CryptoKeyの場合はそのまま使用）
+    const isCryptoKey = typeof privateKeyHex !== 'string';
+    const privateKey = isCryptoKey ? privateKeyHex : await importPrivateKey(privateKeyHex);
+    
+    // 鍵IDが記録されていれば、復号前に鍵の取り違えを検出
+    // （エクスポート不可のCryptoKeyでは公開鍵を導出できないため省略）
+    const needsFingerprint = !isCryptoKey && (envelope.keyId || Array.isArray(envelope.recipients));
+    const fingerprint = needsFingerprint
+      ? await getPublicKeyFingerprint(await getPublicKeyFromPrivateKey(privateKeyHex, 'RSA-OAEP'))
+      : null;
+    if (fingerprint && envelope.keyId) {
+      assertKeyId(envelope.keyId, fingerprint);
+    }
+    
+    if (envelope.algorithm === 'RSA-OAEP+AES-GCM') {
+      let contentKeyBuffer = null;
+      
+      if (Array.isArray(envelope.recipients) && isCryptoKey) {
+        // フィンガープリントを計算できないため、各ラップ済みキーを順に試す
+        for (const recipient of envelope.recipients) {
+          try {
+            contentKeyBuffer = await window.crypto.subtle.decrypt(
+              { name: 'RSA-OAEP' },
+              privateKey,
+              hexToBytes(recipient.wrappedKey)
+            );
+            break;
+          } catch (unwrapError) {
+            // 他の受信者宛てのキー
+          }
+        }
+        if (!contentKeyBuffer) {
+          throw new Error('この秘密鍵に対応する受信者が見つかりません');
+        }
+      } else {
+        let wrappedKey = envelope.wrappedKey;
+        
+        // 複数受信者の場合は自分宛てのラップ済みキーを探す
+        if (Array.isArray(envelope.recipients)) {
+          const recipient = envelope.recipients.find(r => r.fingerprint === fingerprint);
+          if (!recipient) {
+            throw new Error('この秘密鍵に対応する受信者が見つかりません');
+          }
+          wrappedKey = recipient.wrappedKey;
+        }
+        
+        // コンテンツキーをアンラップ
+        contentKeyBuffer = await window.crypto.subtle.decrypt(
+          { name: 'RSA-OAEP' },
+          privateKey,
+          hexToBytes(wrappedKey)
+        );
+      }
+      
+      // コンテンツキーでペイロードを復号
+      return await decryptWithKey(
+        { ...envelope, algorithm: 'AES-GCM', keyId: null },
+        bytesToHex(new Uint8Array(contentKeyBuffer))
+      );
+    }
     
     // 16進数からバイナリデータに変換
-    const encryptedBuffer = new Uint8Array(
-      encryptedHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-    ).buffer;
+    const encryptedBuffer = hexToBytes(envelope.ciphertext);
     
     // RSA-OAEPで復号
     const decryptedBuffer = await window.crypto.subtle.decrypt(
@@ -283,405 +709,3154 @@ export const decryptWithPrivateKey = async (encryptedHex, privateKeyHex) => {
     return JSON.parse(decryptedText);
   } catch (error) {
     console.error('秘密鍵復号に失敗しました:', error);
-    throw new Error('秘密鍵復号に失敗しました');
+    throw new Error('秘密鍵復号に失敗しました: ' + error.message);
   }
 };
 
-const GF256 = {
-    // 加算と減算はXOR
-    add: (a, b) => a ^ b,
-    sub: (a, b) => a ^ b,
-    
-    // 乗算（シンプルで信頼性の高い実装）
-    mul: function(a, b) {
-      a = a & 0xff; // 8ビットに制限
-      b = b & 0xff;
-      
-      if (a === 0 || b === 0) return 0;
-      
-      let result = 0;
-      let temp_a = a;
-      
-      // シフトと加算による乗算
-      for (let i = 0; i < 8; i++) {
-        if (b & 1) {
-          result ^= temp_a; // 現在のaをXOR
-        }
-        
-        // aを2倍（シフト）し、必要ならGF(256)の既約多項式でXOR
-        const highBit = temp_a & 0x80;
-        temp_a = (temp_a << 1) & 0xff;
-        if (highBit) {
-          temp_a ^= 0x1b; // x^8 + x^4 + x^3 + x + 1
-        }
-        
-        b >>= 1; // bを右シフト
-      }
-      
-      return result;
-    },
+// ECDH鍵共有で使用できる曲線
+export const EC_CURVES = ['P-256', 'X25519'];
+
+/**
+ * 曲線に対応するWeb Crypto APIのアルゴリズムパラメータを取得
+ * @param {string} curve - 曲線名（P-256またはX25519）
+ * @returns {Object} アルゴリズムパラメータ
+ */
+const ecdhAlgorithm = (curve) => {
+  if (curve === 'P-256') {
+    return { name: 'ECDH', namedCurve: 'P-256' };
+  }
+  if (curve === 'X25519') {
+    return { name: 'X25519' };
+  }
+  throw new Error(`未対応の曲線です: ${curve}`);
+};
+
+/**
+ * 公開鍵（raw形式）の長さから曲線を判定
+ * @param {Uint8Array} publicKeyBytes - 公開鍵のバイト配列
+ * @returns {string} 曲線名
+ */
+const detectCurve = (publicKeyBytes) => {
+  if (publicKeyBytes.length === 65 && publicKeyBytes[0] === 0x04) {
+    return 'P-256';
+  }
+  if (publicKeyBytes.length === 32) {
+    return 'X25519';
+  }
+  throw new Error('EC公開鍵の形式を判別できません');
+};
+
+/**
+ * この環境で曲線が利用可能か確認
+ * @param {string} curve - 曲線名（P-256またはX25519）
+ * @returns {Promise<boolean>} 利用可能な場合はtrue
+ */
+export const isCurveSupported = async (curve) => {
+  try {
+    await window.crypto.subtle.generateKey(ecdhAlgorithm(curve), false, ['deriveBits']);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * ECDH鍵ペアを生成
+ * 公開鍵はraw形式（P-256は非圧縮65バイト、X25519は32バイト）、秘密鍵はPKCS#8形式で出力する
+ * @param {string} [curve] - 曲線名（P-256またはX25519）
+ * @returns {Promise<Object>} キーペア（publicKey, privateKey, fingerprint, curve）
+ */
+export const generateECKeyPair = async (curve = 'P-256') => {
+  try {
+    const keyPair = await window.crypto.subtle.generateKey(
+      ecdhAlgorithm(curve),
+      true, // キーをエクスポート可能に設定
+      ['deriveBits']
+    );
     
-    // 除算（逆元を使用）
-    div: function(a, b) {
-      a = a & 0xff;
-      b = b & 0xff;
-      
-      if (b === 0) throw new Error('0による除算はできません');
-      if (a === 0) return 0;
-      
-      // b の逆元を計算
-      const b_inv = this.inverse(b);
-      
-      // a / b = a * (b^-1)
-      return this.mul(a, b_inv);
-    },
+    const publicKeyBuffer = await window.crypto.subtle.exportKey('raw', keyPair.publicKey);
+    const privateKeyBuffer = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
     
-    // 逆元計算（拡張ユークリッドアルゴリズム）
-    inverse: function(a) {
-      if (a === 0) throw new Error('0の逆元は存在しません');
-      
-      // 拡張ユークリッドアルゴリズムによるGF(256)での逆元計算
-      let t = 0, newt = 1;
-      let r = 0x11b, newr = a; // 0x11b = x^8 + x^4 + x^3 + x + 1
-      
-      while (newr !== 0) {
-        const quotient = this.polyDiv(r, newr);
-        
-        [t, newt] = [newt, t ^ this.polyMul(quotient, newt)];
-        [r, newr] = [newr, r ^ this.polyMul(quotient, newr)];
-      }
-      
-      if (r > 1) {
-        throw new Error('多項式は可逆ではありません');
-      }
-      
-      return t;
-    },
+    const publicKeyHex = bytesToHex(new Uint8Array(publicKeyBuffer));
+    return {
+      privateKey: bytesToHex(new Uint8Array(privateKeyBuffer)),
+      publicKey: publicKeyHex,
+      fingerprint: await getPublicKeyFingerprint(publicKeyHex),
+      curve
+    };
+  } catch (error) {
+    console.error('ECキーペア生成に失敗しました:', error);
+    throw new Error('ECキーペア生成に失敗しました');
+  }
+};
+
+/**
+ * 16進数のEC公開鍵をインポート
+ * @param {string} publicKeyHex - 16進数形式の公開鍵（raw形式）
+ * @returns {Promise<Object>} インポートされた公開鍵と曲線名（key, curve）
+ */
+export const importECPublicKey = async (publicKeyHex) => {
+  try {
+    const keyData = hexToBytes(publicKeyHex);
+    const curve = detectCurve(keyData);
     
-    // 多項式除算（GF(2)上）- 逆元計算用
-    polyDiv: function(a, b) {
-      if (b === 0) throw new Error('0による多項式除算はできません');
-      
-      let result = 0;
-      let degree_diff = this.degree(a) - this.degree(b);
-      
-      if (degree_diff < 0) return 0;
-      
-      for (let i = degree_diff; i >= 0; i--) {
-        if (a & (1 << (i + this.degree(b)))) {
+    const key = await window.crypto.subtle.importKey(
+      'raw',
+      keyData,
+      ecdhAlgorithm(curve),
+      true, // extractable
+      []
+    );
+    return { key, curve };
+  } catch (error) {
+    console.error('EC公開鍵のインポートに失敗しました:', error);
+    throw new Error('EC公開鍵のインポートに失敗しました');
+  }
+};
+
+/**
+ * 16進数のEC秘密鍵をインポート
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵（PKCS#8形式）
+ * @param {string} curve - 曲線名（P-256またはX25519）
+ * @returns {Promise<CryptoKey>} インポートされた秘密鍵
+ */
+export const importECPrivateKey = async (privateKeyHex, curve) => {
+  try {
+    return await window.crypto.subtle.importKey(
+      'pkcs8',
+      hexToBytes(privateKeyHex),
+      ecdhAlgorithm(curve),
+      false, // extractable
+      ['deriveBits']
+    );
+  } catch (error) {
+    console.error('EC秘密鍵のインポートに失敗しました:', error);
+    throw new Error('EC秘密鍵のインポートに失敗しました');
+  }
+};
+
+/**
+ * ECDHの共有秘密からHKDF-SHA256でAES-256-GCMキーを導出
+ * エフェメラル公開鍵と受信者公開鍵をソルトに含め、鍵を暗号文に結び付ける
+ * @param {CryptoKey} privateKey - 自分の秘密鍵
+ * @param {CryptoKey} publicKey - 相手の公開鍵
+ * @param {string} curve - 曲線名
+ * @param {Uint8Array} ephemeralPublicBytes - エフェメラル公開鍵（raw形式）
+ * @param {Uint8Array} recipientPublicBytes - 受信者公開鍵（raw形式）
+ * @returns {Promise<string>} 導出されたキー（16進数）
+ */
+const deriveEciesKey = async (privateKey, publicKey, curve, ephemeralPublicBytes, recipientPublicBytes) => {
+  const sharedBits = await window.crypto.subtle.deriveBits(
+    { name: ecdhAlgorithm(curve).name, public: publicKey },
+    privateKey,
+    256
+  );
+  
+  const hkdfKey = await window.crypto.subtle.importKey(
+    'raw',
+    sharedBits,
+    { name: 'HKDF' },
+    false,
+    ['deriveBits']
+  );
+  
+  const salt = new Uint8Array(ephemeralPublicBytes.length + recipientPublicBytes.length);
+  salt.set(ephemeralPublicBytes, 0);
+  salt.set(recipientPublicBytes, ephemeralPublicBytes.length);
+  
+  const keyBits = await window.crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt,
+      info: new TextEncoder().encode(`ECIES-${curve}-AES-256-GCM`)
+    },
+    hkdfKey,
+    256
+  );
+  
+  return bytesToHex(new Uint8Array(keyBits));
+};
+
+/**
+ * EC公開鍵でデータを暗号化（ECIES: ECDH + HKDF + AES-GCM）
+ * エフェメラル鍵ペアを生成して受信者の公開鍵と鍵共有し、導出したキーでデータを暗号化する。
+ * バイナリデータもencryptWithKeyと同様に扱える
+ * @param {any} data - 暗号化するデータ
+ * @param {string} publicKeyHex - 16進数形式のEC公開鍵（raw形式）
+ * @returns {Promise<Object>} 暗号文エンベロープ（algorithm: ECDH-ES+AES-GCM）
+ */
+export const encryptWithECPublicKey = async (data, publicKeyHex) => {
+  try {
+    const { key: recipientKey, curve } = await importECPublicKey(publicKeyHex);
+    
+    // エフェメラル鍵ペアを生成
+    const ephemeral = await window.crypto.subtle.generateKey(
+      ecdhAlgorithm(curve),
+      true,
+      ['deriveBits']
+    );
+    const ephemeralPublicBytes = new Uint8Array(
+      await window.crypto.subtle.exportKey('raw', ephemeral.publicKey)
+    );
+    
+    // 共有秘密からコンテンツキーを導出して暗号化
+    const contentKeyHex = await deriveEciesKey(
+      ephemeral.privateKey,
+      recipientKey,
+      curve,
+      ephemeralPublicBytes,
+      hexToBytes(publicKeyHex)
+    );
+    const inner = await encryptWithKey(data, contentKeyHex);
+    
+    return createEnvelope({
+      algorithm: 'ECDH-ES+AES-GCM',
+      ciphertext: inner.ciphertext,
+      nonce: inner.nonce,
+      contentType: inner.contentType,
+      mimeType: inner.mimeType,
+      keyId: await getPublicKeyFingerprint(publicKeyHex),
+      curve,
+      ephemeralPublicKey: bytesToHex(ephemeralPublicBytes),
+      recipientPublicKey: publicKeyHex
+    });
+  } catch (error) {
+    console.error('EC公開鍵暗号化に失敗しました:', error);
+    throw new Error('EC公開鍵暗号化に失敗しました');
+  }
+};
+
+/**
+ * EC秘密鍵でデータを復号
+ * @param {Object|string} encrypted - 暗号文エンベロープ（algorithm: ECDH-ES+AES-GCM）
+ * @param {string} privateKeyHex - 16進数形式のEC秘密鍵（PKCS#8形式）
+ * @returns {Promise<any>} 復号されたデータ
+ */
+export const decryptWithECPrivateKey = async (encrypted, privateKeyHex) => {
+  try {
+    const envelope = parseEnvelope(encrypted);
+    if (envelope.algorithm !== 'ECDH-ES+AES-GCM') {
+      throw new Error(`アルゴリズムが一致しません: ${envelope.algorithm}`);
+    }
+    
+    const { curve } = envelope;
+    
+    // 鍵IDが記録されていれば、復号前に鍵の取り違えを検出
+    if (envelope.keyId) {
+      const publicKeyHex = await getPublicKeyFromPrivateKey(
+        privateKeyHex,
+        curve === 'P-256' ? 'ECDH-P256' : curve
+      );
+      assertKeyId(envelope.keyId, await getPublicKeyFingerprint(publicKeyHex));
+    }
+    
+    const privateKey = await importECPrivateKey(privateKeyHex, curve);
+    const { key: ephemeralKey } = await importECPublicKey(envelope.ephemeralPublicKey);
+    
+    // 暗号化時と同じキーを導出
+    const contentKeyHex = await deriveEciesKey(
+      privateKey,
+      ephemeralKey,
+      curve,
+      hexToBytes(envelope.ephemeralPublicKey),
+      hexToBytes(envelope.recipientPublicKey)
+    );
+    
+    return await decryptWithKey({ ...envelope, algorithm: 'AES-GCM', keyId: null }, contentKeyHex);
+  } catch (error) {
+    console.error('EC秘密鍵復号に失敗しました:', error);
+    throw new Error('EC秘密鍵復号に失敗しました: ' + error.message);
+  }
+};
+
+// 署名で使用できるアルゴリズム
+export const SIGNATURE_ALGORITHMS = ['ECDSA-P256', 'RSA-PSS', 'Ed25519'];
+
+// 署名形式のバージョン
+const SIGNATURE_VERSION = 1;
+
+/**
+ * 署名アルゴリズムに対応するWeb Crypto APIのパラメータを取得
+ * @param {string} algorithm - 署名アルゴリズム（ECDSA-P256, RSA-PSS, Ed25519）
+ * @returns {Object} 鍵生成・インポート用（keyParams）と署名用（signParams）のパラメータ
+ */
+const signatureParams = (algorithm) => {
+  switch (algorithm) {
+    case 'ECDSA-P256':
+      return {
+        keyParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        signParams: { name: 'ECDSA', hash: 'SHA-256' }
+      };
+    case 'RSA-PSS':
+      return {
+        keyParams: {
+          name: 'RSA-PSS',
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256'
+        },
+        signParams: { name: 'RSA-PSS', saltLength: 32 }
+      };
+    case 'Ed25519':
+      return {
+        keyParams: { name: 'Ed25519' },
+        signParams: { name: 'Ed25519' }
+      };
+    default:
+      throw new Error(`未対応の署名アルゴリズムです: ${algorithm}`);
+  }
+};
+
+/**
+ * 署名用の鍵ペアを生成
+ * generateKeyPairと同じく、公開鍵はSPKI、秘密鍵はPKCS#8の16進数で出力する
+ * @param {string} [algorithm] - 署名アルゴリズム（ECDSA-P256, RSA-PSS, Ed25519）
+ * @returns {Promise<Object>} キーペア（publicKey, privateKey, fingerprint, algorithm）
+ */
+export const generateSigningKeyPair = async (algorithm = 'ECDSA-P256') => {
+  try {
+    const { keyParams } = signatureParams(algorithm);
+    const keyPair = await window.crypto.subtle.generateKey(
+      keyParams,
+      true, // キーをエクスポート可能に設定
+      ['sign', 'verify']
+    );
+    
+    const privateKeyBuffer = await window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey);
+    const publicKeyBuffer = await window.crypto.subtle.exportKey('spki', keyPair.publicKey);
+    
+    const publicKeyHex = bytesToHex(new Uint8Array(publicKeyBuffer));
+    return {
+      privateKey: bytesToHex(new Uint8Array(privateKeyBuffer)),
+      publicKey: publicKeyHex,
+      fingerprint: await getPublicKeyFingerprint(publicKeyHex),
+      algorithm
+    };
+  } catch (error) {
+    console.error('署名用キーペア生成に失敗しました:', error);
+    throw new Error('署名用キーペア生成に失敗しました');
+  }
+};
+
+/**
+ * データに署名（分離署名）
+ * データはencryptWithKeyと同じ規則でバイト列に変換される
+ * （バイナリはそのまま、それ以外はJSON文字列）
+ * @param {any} data - 署名するデータ
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵（PKCS#8）
+ * @param {string} [algorithm] - 署名アルゴリズム（ECDSA-P256, RSA-PSS, Ed25519）
+ * @returns {Promise<Object>} 分離署名（version, algorithm, keyId, encoding, signature）
+ */
+export const sign = async (data, privateKeyHex, algorithm = 'ECDSA-P256') => {
+  try {
+    const { keyParams, signParams } = signatureParams(algorithm);
+    const privateKey = await window.crypto.subtle.importKey(
+      'pkcs8',
+      hexToBytes(privateKeyHex),
+      keyParams,
+      false, // extractable
+      ['sign']
+    );
+    
+    const { bytes } = await serializePayload(data);
+    const signatureBuffer = await window.crypto.subtle.sign(signParams, privateKey, bytes);
+    
+    // 署名者の識別子として公開鍵のフィンガープリントを記録
+    const keyId = await getPublicKeyFingerprint(
+      await getPublicKeyFromPrivateKey(privateKeyHex, algorithm)
+    );
+    
+    return {
+      version: SIGNATURE_VERSION,
+      algorithm,
+      keyId,
+      encoding: 'hex',
+      signature: bytesToHex(new Uint8Array(signatureBuffer))
+    };
+  } catch (error) {
+    console.error('署名に失敗しました:', error);
+    throw new Error('署名に失敗しました');
+  }
+};
+
+/**
+ * 分離署名を検証
+ * 署名のkeyIdが公開鍵のフィンガープリントと一致しない場合もfalseを返す
+ * @param {any} data - 署名されたデータ
+ * @param {Object} signature - 分離署名（signの戻り値）
+ * @param {string} publicKeyHex - 16進数形式の公開鍵（SPKI）
+ * @returns {Promise<boolean>} 署名が正しい場合はtrue
+ */
+export const verify = async (data, signature, publicKeyHex) => {
+  try {
+    if (!signature || signature.version !== SIGNATURE_VERSION) {
+      throw new Error(`未対応の署名バージョンです: ${signature && signature.version}`);
+    }
+    if (signature.encoding !== 'hex') {
+      throw new Error(`未対応のエンコーディングです: ${signature.encoding}`);
+    }
+    
+    if (signature.keyId && signature.keyId !== await getPublicKeyFingerprint(publicKeyHex)) {
+      return false;
+    }
+    
+    const { keyParams, signParams } = signatureParams(signature.algorithm);
+    const publicKey = await window.crypto.subtle.importKey(
+      'spki',
+      hexToBytes(publicKeyHex),
+      keyParams,
+      false,
+      ['verify']
+    );
+    
+    const { bytes } = await serializePayload(data);
+    return await window.crypto.subtle.verify(
+      signParams,
+      publicKey,
+      hexToBytes(signature.signature),
+      bytes
+    );
+  } catch (error) {
+    console.error('署名の検証に失敗しました:', error);
+    throw new Error('署名の検証に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * オブジェクトに署名して、signatureプロパティとして添付する
+ * 暗号文エンベロープや公開リカバリーデータなどに署名者の情報を付けるために使う
+ * @param {Object} obj - 署名するオブジェクト（signatureプロパティは署名対象外）
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵（PKCS#8）
+ * @param {string} [algorithm] - 署名アルゴリズム
+ * @returns {Promise<Object>} 署名付きのオブジェクト
+ */
+export const attachSignature = async (obj, privateKeyHex, algorithm = 'ECDSA-P256') => {
+  const { signature: _ignored, ...content } = obj;
+  const signature = await sign(content, privateKeyHex, algorithm);
+  return { ...content, signature };
+};
+
+/**
+ * attachSignatureで添付された署名を検証
+ * @param {Object} obj - 署名付きのオブジェクト
+ * @param {string} publicKeyHex - 16進数形式の公開鍵（SPKI）
+ * @returns {Promise<boolean>} 署名が正しい場合はtrue
+ */
+export const verifyAttachedSignature = async (obj, publicKeyHex) => {
+  const { signature, ...content } = obj;
+  if (!signature) {
+    return false;
+  }
+  return await verify(content, signature, publicKeyHex);
+};
+
+// 外部形式（PEM/JWK）で扱える鍵の種類
+// native: このモジュールで使用する16進数の形式、family: SPKI/PKCS#8のアルゴリズム識別子、
+// jwkAlgs: JWKのalgとして受け付ける値
+const KEY_TYPES = {
+  'RSA-OAEP': {
+    params: { name: 'RSA-OAEP', hash: 'SHA-256' },
+    usages: { public: ['encrypt'], private: ['decrypt'] },
+    native: { public: 'spki', private: 'pkcs8' },
+    family: 'RSA',
+    jwk: { kty: 'RSA' },
+    jwkAlgs: ['RSA-OAEP-256']
+  },
+  'RSA-PSS': {
+    params: { name: 'RSA-PSS', hash: 'SHA-256' },
+    usages: { public: ['verify'], private: ['sign'] },
+    native: { public: 'spki', private: 'pkcs8' },
+    family: 'RSA',
+    jwk: { kty: 'RSA' },
+    jwkAlgs: ['PS256']
+  },
+  'ECDH-P256': {
+    params: { name: 'ECDH', namedCurve: 'P-256' },
+    usages: { public: [], private: ['deriveBits'] },
+    native: { public: 'raw', private: 'pkcs8' },
+    family: 'EC',
+    jwk: { kty: 'EC', crv: 'P-256' },
+    jwkAlgs: ['ECDH-ES', 'ECDH-ES+A128KW', 'ECDH-ES+A256KW']
+  },
+  'ECDSA-P256': {
+    params: { name: 'ECDSA', namedCurve: 'P-256' },
+    usages: { public: ['verify'], private: ['sign'] },
+    native: { public: 'spki', private: 'pkcs8' },
+    family: 'EC',
+    jwk: { kty: 'EC', crv: 'P-256' },
+    jwkAlgs: ['ES256']
+  },
+  'X25519': {
+    params: { name: 'X25519' },
+    usages: { public: [], private: ['deriveBits'] },
+    native: { public: 'raw', private: 'pkcs8' },
+    family: 'X25519',
+    jwk: { kty: 'OKP', crv: 'X25519' },
+    jwkAlgs: ['ECDH-ES', 'ECDH-ES+A128KW', 'ECDH-ES+A256KW']
+  },
+  'Ed25519': {
+    params: { name: 'Ed25519' },
+    usages: { public: ['verify'], private: ['sign'] },
+    native: { public: 'spki', private: 'pkcs8' },
+    family: 'Ed25519',
+    jwk: { kty: 'OKP', crv: 'Ed25519' },
+    jwkAlgs: ['Ed25519', 'EdDSA']
+  },
+  'AES-GCM': {
+    params: { name: 'AES-GCM' },
+    usages: { secret: ['encrypt', 'decrypt'] },
+    native: { secret: 'raw' },
+    family: null,
+    jwk: { kty: 'oct' },
+    jwkAlgs: ['A256GCM', 'A128GCM', 'A192GCM']
+  }
+};
+
+// SPKI/PKCS#8に含まれるアルゴリズムOID（DERエンコード済み）
+const KEY_FAMILY_OIDS = {
+  RSA: '06092a864886f70d010101',
+  EC: '06072a8648ce3d0201',
+  X25519: '06032b656e',
+  Ed25519: '06032b6570'
+};
+
+/**
+ * 鍵の種類と用途の組み合わせを検証して定義を取得
+ * @param {string} keyType - 鍵の種類（RSA-OAEP, RSA-PSS, ECDH-P256, ECDSA-P256, X25519, Ed25519, AES-GCM）
+ * @param {string} usage - 用途（public, private, secret）
+ * @returns {Object} 鍵の種類の定義
+ */
+const getKeyTypeSpec = (keyType, usage) => {
+  const spec = KEY_TYPES[keyType];
+  if (!spec) {
+    throw new Error(`未対応の鍵の種類です: ${keyType}`);
+  }
+  if (!spec.native[usage]) {
+    throw new Error(`${keyType}の鍵は用途「${usage}」に対応していません`);
+  }
+  return spec;
+};
+
+/**
+ * バイト配列をBase64文字列に変換
+ * @param {Uint8Array} bytes - バイト配列
+ * @returns {string} Base64文字列
+ */
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return window.btoa(binary);
+};
+
+/**
+ * Base64文字列をバイト配列に変換
+ * @param {string} base64 - Base64文字列
+ * @returns {Uint8Array} バイト配列
+ */
+const base64ToBytes = (base64) => {
+  const binary = window.atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * DERデータからアルゴリズムファミリーを判定
+ * @param {Uint8Array} der - SPKIまたはPKCS#8のDERデータ
+ * @returns {string|null} ファミリー（RSA, EC, X25519, Ed25519）、判定できない場合はnull
+ */
+const detectKeyFamily = (der) => {
+  // アルゴリズム識別子は先頭付近にある
+  const headHex = bytesToHex(der.subarray(0, 32));
+  const match = Object.entries(KEY_FAMILY_OIDS).find(([, oid]) => headHex.includes(oid));
+  return match ? match[0] : null;
+};
+
+/**
+ * 鍵の入力形式を判定
+ * @param {string|Object} input - 鍵（PEM文字列、JWKオブジェクト/JSON文字列、16進数文字列）
+ * @returns {string} 形式（pem, jwk, hex）
+ */
+export const detectKeyFormat = (input) => {
+  if (input && typeof input === 'object') {
+    return 'jwk';
+  }
+  if (typeof input !== 'string') {
+    throw new Error('鍵の形式を判別できません');
+  }
+  
+  const trimmed = input.trim();
+  if (trimmed.startsWith('-----BEGIN ')) {
+    return 'pem';
+  }
+  if (trimmed.startsWith('{')) {
+    return 'jwk';
+  }
+  if (/^[0-9a-fA-F]+$/.test(trimmed) && trimmed.length % 2 === 0) {
+    return 'hex';
+  }
+  throw new Error('鍵の形式を判別できません（PEM、JWK、16進数のいずれかを指定してください）');
+};
+
+/**
+ * DERデータをPEM文字列に変換
+ * @param {Uint8Array} der - DERデータ
+ * @param {string} label - PEMラベル（PUBLIC KEY, PRIVATE KEYなど）
+ * @returns {string} PEM文字列
+ */
+export const derToPem = (der, label) => {
+  const base64 = bytesToBase64(der);
+  const lines = base64.match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+};
+
+/**
+ * PEM文字列をDERデータに変換
+ * @param {string} pem - PEM文字列
+ * @returns {Object} ラベルとDERデータ（label, der）
+ */
+export const pemToDer = (pem) => {
+  const match = pem.trim().match(/^-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----$/);
+  if (!match) {
+    throw new Error('PEMのBEGIN/ENDヘッダーが不正です');
+  }
+  
+  const body = match[2].replace(/\s+/g, '');
+  try {
+    return { label: match[1], der: base64ToBytes(body) };
+  } catch (error) {
+    throw new Error('PEMの本文をBase64として解析できません');
+  }
+};
+
+/**
+ * このモジュールの16進数形式の鍵をエクスポート可能なCryptoKeyとしてインポート
+ * @param {string} keyHex - 16進数形式の鍵
+ * @param {string} keyType - 鍵の種類
+ * @param {string} usage - 用途（public, private, secret）
+ * @returns {Promise<CryptoKey>} エクスポート可能なCryptoKey
+ */
+const importNativeKey = async (keyHex, keyType, usage) => {
+  const spec = getKeyTypeSpec(keyType, usage);
+  try {
+    return await window.crypto.subtle.importKey(
+      spec.native[usage],
+      hexToBytes(keyHex),
+      spec.params,
+      true,
+      spec.usages[usage]
+    );
+  } catch (error) {
+    throw new Error(`${keyType}の鍵（${usage}）として読み込めません`);
+  }
+};
+
+/**
+ * CryptoKeyをこのモジュールの16進数形式でエクスポート
+ * @param {CryptoKey} key - エクスポート可能なCryptoKey
+ * @param {string} keyType - 鍵の種類
+ * @param {string} usage - 用途（public, private, secret）
+ * @returns {Promise<string>} 16進数形式の鍵
+ */
+const exportNativeKey = async (key, keyType, usage) => {
+  const spec = getKeyTypeSpec(keyType, usage);
+  const buffer = await window.crypto.subtle.exportKey(spec.native[usage], key);
+  return bytesToHex(new Uint8Array(buffer));
+};
+
+/**
+ * 秘密鍵から対応する公開鍵を導出
+ * JWKから秘密成分を取り除いて公開鍵として読み込み直し、このモジュールの形式で出力する
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵（PKCS#8）
+ * @param {string} [keyType] - 鍵の種類（RSA-OAEP, RSA-PSS, ECDH-P256, ECDSA-P256, X25519, Ed25519）
+ * @returns {Promise<string>} 16進数形式の公開鍵（ECDH/X25519はraw、それ以外はSPKI）
+ */
+export const getPublicKeyFromPrivateKey = async (privateKeyHex, keyType = 'RSA-OAEP') => {
+  const spec = getKeyTypeSpec(keyType, 'public');
+  const privateKey = await importNativeKey(privateKeyHex, keyType, 'private');
+  const { d, p, q, dp, dq, qi, oth, key_ops, ...publicJwk } = await window.crypto.subtle.exportKey('jwk', privateKey);
+  
+  const publicKey = await window.crypto.subtle.importKey(
+    'jwk',
+    publicJwk,
+    spec.params,
+    true,
+    spec.usages.public
+  );
+  return await exportNativeKey(publicKey, keyType, 'public');
+};
+
+/**
+ * 鍵をPEM形式でエクスポート
+ * 公開鍵はSPKI（PUBLIC KEY）、秘密鍵はPKCS#8（PRIVATE KEY）として出力する。
+ * AES鍵にはPEMの標準形式がないためJWKを使用すること
+ * @param {string} keyHex - 16進数形式の鍵（generateKeyPairなどの出力）
+ * @param {string} keyType - 鍵の種類
+ * @param {string} usage - 用途（public, private）
+ * @returns {Promise<string>} PEM文字列
+ */
+export const exportKeyAsPem = async (keyHex, keyType, usage) => {
+  try {
+    if (usage === 'secret') {
+      throw new Error('AES鍵はPEM形式に対応していません（JWKを使用してください）');
+    }
+    
+    const key = await importNativeKey(keyHex, keyType, usage);
+    const format = usage === 'public' ? 'spki' : 'pkcs8';
+    const der = new Uint8Array(await window.crypto.subtle.exportKey(format, key));
+    
+    return derToPem(der, usage === 'public' ? 'PUBLIC KEY' : 'PRIVATE KEY');
+  } catch (error) {
+    console.error('PEMエクスポートに失敗しました:', error);
+    throw new Error('PEMエクスポートに失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * 鍵をJWK形式でエクスポート
+ * @param {string} keyHex - 16進数形式の鍵（generateKeyPair、generateEncryptionKeyなどの出力）
+ * @param {string} keyType - 鍵の種類
+ * @param {string} usage - 用途（public, private, secret）
+ * @returns {Promise<Object>} JWKオブジェクト
+ */
+export const exportKeyAsJwk = async (keyHex, keyType, usage) => {
+  try {
+    const key = await importNativeKey(keyHex, keyType, usage);
+    return await window.crypto.subtle.exportKey('jwk', key);
+  } catch (error) {
+    console.error('JWKエクスポートに失敗しました:', error);
+    throw new Error('JWKエクスポートに失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * PEM・JWK・16進数の鍵を読み込み、このモジュールの16進数形式に変換
+ * 入力形式は自動判定する。変換結果はencryptWithPublicKeyやsignなど既存の関数でそのまま使える
+ * （RSA/署名鍵の公開鍵はSPKI、ECDH公開鍵はraw、秘密鍵はPKCS#8、AES鍵はraw）
+ * @param {string|Object} input - 鍵（PEM文字列、JWKオブジェクト/JSON文字列、16進数文字列）
+ * @param {string} keyType - 期待する鍵の種類
+ * @param {string} usage - 期待する用途（public, private, secret）
+ * @returns {Promise<string>} 16進数形式の鍵
+ */
+export const importExternalKey = async (input, keyType, usage) => {
+  try {
+    const spec = getKeyTypeSpec(keyType, usage);
+    const format = detectKeyFormat(input);
+    
+    if (format === 'hex') {
+      // 形式の検証のみ行う
+      const key = await importNativeKey(input.trim(), keyType, usage);
+      return await exportNativeKey(key, keyType, usage);
+    }
+    
+    let key;
+    if (format === 'pem') {
+      const { label, der } = pemToDer(input);
+      
+      if (label === 'RSA PUBLIC KEY' || label === 'RSA PRIVATE KEY' || label === 'EC PRIVATE KEY') {
+        throw new Error(`${label}（PKCS#1/SEC1形式）には対応していません。SPKIまたはPKCS#8に変換してください`);
+      }
+      if (label === 'ENCRYPTED PRIVATE KEY') {
+        throw new Error('暗号化されたPKCS#8には対応していません');
+      }
+      
+      const expectedLabel = usage === 'public' ? 'PUBLIC KEY' : 'PRIVATE KEY';
+      if (usage === 'secret') {
+        throw new Error('AES鍵はPEM形式に対応していません（JWKを使用してください）');
+      }
+      if (label !== expectedLabel) {
+        throw new Error(`${expectedLabel}が必要ですが、${label}が指定されました`);
+      }
+      
+      const family = detectKeyFamily(der);
+      if (family && family !== spec.family) {
+        throw new Error(`鍵の種類が一致しません: ${keyType}が必要ですが、${family}の鍵が指定されました`);
+      }
+      
+      try {
+        key = await window.crypto.subtle.importKey(
+          usage === 'public' ? 'spki' : 'pkcs8',
+          der,
+          spec.params,
+          true,
+          spec.usages[usage]
+        );
+      } catch (importError) {
+        throw new Error(`${keyType}の鍵（${usage}）として読み込めません`);
+      }
+    } else {
+      const jwk = typeof input === 'string' ? JSON.parse(input) : input;
+      
+      // 鍵の種類と用途を確認
+      if (jwk.kty !== spec.jwk.kty || (spec.jwk.crv && jwk.crv !== spec.jwk.crv)) {
+        throw new Error(
+          `鍵の種類が一致しません: ${keyType}が必要ですが、kty=${jwk.kty}${jwk.crv ? `, crv=${jwk.crv}` : ''}の鍵が指定されました`
+        );
+      }
+      if (jwk.alg && !spec.jwkAlgs.includes(jwk.alg)) {
+        throw new Error(`鍵の種類が一致しません: ${keyType}が必要ですが、alg=${jwk.alg}の鍵が指定されました`);
+      }
+      const isPrivate = jwk.kty === 'oct' ? Boolean(jwk.k) : Boolean(jwk.d);
+      if (usage === 'public' && isPrivate) {
+        throw new Error('公開鍵が必要ですが、秘密鍵のJWKが指定されました');
+      }
+      if (usage === 'private' && !isPrivate) {
+        throw new Error('秘密鍵が必要ですが、公開鍵のJWKが指定されました');
+      }
+      
+      // 用途はこちらで指定するため、key_opsとuseは除外する
+      const { key_ops, use, ...keyData } = jwk;
+      try {
+        key = await window.crypto.subtle.importKey(
+          'jwk',
+          { ...keyData, ext: true },
+          spec.params,
+          true,
+          spec.usages[usage]
+        );
+      } catch (importError) {
+        throw new Error(`${keyType}の鍵（${usage}）として読み込めません（algの不一致など）`);
+      }
+    }
+    
+    return await exportNativeKey(key, keyType, usage);
+  } catch (error) {
+    console.error('鍵のインポートに失敗しました:', error);
+    throw new Error('鍵のインポートに失敗しました: ' + error.message);
+  }
+};
+
+// パスワード保護された秘密鍵の形式バージョン
+const ENCRYPTED_PRIVATE_KEY_VERSION = 1;
+
+// インポート時に受け付けるPBKDF2のハッシュ関数
+const PBKDF2_SUPPORTED_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+/**
+ * 秘密鍵をパスワードで暗号化してエクスポート
+ * deriveKeyFromPassword（PBKDF2-SHA256）で導出したキーでPKCS#8をAES-GCM暗号化し、
+ * KDFパラメータと暗号文エンベロープをまとめたJSON化可能なオブジェクトを返す
+ * @param {string} privateKeyHex - 16進数形式の秘密鍵（PKCS#8）
+ * @param {string} password - パスワード
+ * @param {string} [keyType] - 鍵の種類（RSA-OAEP, RSA-PSS, ECDH-P256, ECDSA-P256, X25519, Ed25519）
+ * @returns {Promise<Object>} パスワード保護された秘密鍵
+ */
+export const exportEncryptedPrivateKey = async (privateKeyHex, password, keyType = 'RSA-OAEP') => {
+  if (!password) {
+    throw new Error('パスワードが必要です');
+  }
+  
+  try {
+    // 秘密鍵として読み込めるか確認
+    await importNativeKey(privateKeyHex, keyType, 'private');
+    
+    const { key, salt, iterations, hash, isWebCrypto } = await deriveKeyFromPassword(password);
+    if (isWebCrypto === false) {
+      // フォールバックの鍵派生は安全ではないため使用しない
+      throw new Error('Web Crypto APIが利用できないため、秘密鍵を保護できません');
+    }
+    
+    // 鍵の種類をAADとして結び付ける
+    const envelope = await encryptWithKey(
+      hexToBytes(privateKeyHex),
+      key,
+      `encrypted-private-key:${keyType}`
+    );
+    
+    return {
+      version: ENCRYPTED_PRIVATE_KEY_VERSION,
+      type: 'encrypted-private-key',
+      keyType,
+      format: 'pkcs8',
+      kdf: {
+        name: 'PBKDF2',
+        hash,
+        iterations,
+        salt
+      },
+      envelope
+    };
+  } catch (error) {
+    console.error('秘密鍵のエクスポートに失敗しました:', error);
+    throw new Error('秘密鍵のエクスポートに失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * パスワード保護された秘密鍵を復号
+ * @param {Object|string} encryptedKey - exportEncryptedPrivateKeyの戻り値（JSON文字列も可）
+ * @param {string} password - パスワード
+ * @returns {Promise<Object>} 鍵の種類と16進数形式の秘密鍵（keyType, privateKeyHex）
+ */
+const decryptPrivateKeyExport = async (encryptedKey, password) => {
+  const data = typeof encryptedKey === 'string' ? JSON.parse(encryptedKey) : encryptedKey;
+  
+  if (!data || data.type !== 'encrypted-private-key') {
+    throw new Error('パスワード保護された秘密鍵の形式ではありません');
+  }
+  if (data.version !== ENCRYPTED_PRIVATE_KEY_VERSION) {
+    throw new Error(`未対応のバージョンです: ${data.version}`);
+  }
+  const kdf = data.kdf;
+  if (
+    !kdf ||
+    kdf.name !== 'PBKDF2' ||
+    !PBKDF2_SUPPORTED_HASHES.includes(kdf.hash) ||
+    !Number.isInteger(kdf.iterations) ||
+    kdf.iterations < 1
+  ) {
+    throw new Error('未対応の鍵派生パラメータです');
+  }
+  
+  // エクスポート時に記録された反復回数とハッシュ関数で鍵を派生する
+  const { key } = await deriveKeyFromPassword(password, hexToBytes(kdf.salt), {
+    iterations: kdf.iterations,
+    hash: kdf.hash
+  });
+  
+  let pkcs8;
+  try {
+    pkcs8 = await decryptWithKey(data.envelope, key, `encrypted-private-key:${data.keyType}`);
+  } catch (decryptError) {
+    throw new Error('パスワードが正しくないか、データが破損しています');
+  }
+  
+  return { keyType: data.keyType, privateKeyHex: bytesToHex(pkcs8) };
+};
+
+/**
+ * パスワード保護された秘密鍵をインポート
+ * 戻り値のCryptoKeyはエクスポート不可で、RSA-OAEPの場合はdecryptWithPrivateKeyにそのまま渡せる
+ * @param {Object|string} encryptedKey - exportEncryptedPrivateKeyの戻り値（JSON文字列も可）
+ * @param {string} password - パスワード
+ * @returns {Promise<CryptoKey>} インポートされた秘密鍵
+ */
+export const importEncryptedPrivateKey = async (encryptedKey, password) => {
+  try {
+    const { keyType, privateKeyHex } = await decryptPrivateKeyExport(encryptedKey, password);
+    const spec = getKeyTypeSpec(keyType, 'private');
+    
+    return await window.crypto.subtle.importKey(
+      'pkcs8',
+      hexToBytes(privateKeyHex),
+      spec.params,
+      false, // extractable
+      spec.usages.private
+    );
+  } catch (error) {
+    console.error('秘密鍵のインポートに失敗しました:', error);
+    throw new Error('秘密鍵のインポートに失敗しました: ' + error.message);
+  }
+};
+
+const GF256 = {
+    // 加算と減算はXOR
+    add: (a, b) => a ^ b,
+    sub: (a, b) => a ^ b,
+    
+    // 乗算（シンプルで信頼性の高い実装）
+    mul: function(a, b) {
+      a = a & 0xff; // 8ビットに制限
+      b = b & 0xff;
+      
+      if (a === 0 || b === 0) return 0;
+      
+      let result = 0;
+      let temp_a = a;
+      
+      // シフトと加算による乗算
+      for (let i = 0; i < 8; i++) {
+        if (b & 1) {
+          result ^= temp_a; // 現在のaをXOR
+        }
+        
+        // aを2倍（シフト）し、必要ならGF(256)の既約多項式でXOR
+        const highBit = temp_a & 0x80;
+        temp_a = (temp_a << 1) & 0xff;
+        if (highBit) {
+          temp_a ^= 0x1b; // x^8 + x^4 + x^3 + x + 1
+        }
+        
+        b >>= 1; // bを右シフト
+      }
+      
+      return result;
+    },
+    
+    // 除算（逆元を使用）
+    div: function(a, b) {
+      a = a & 0xff;
+      b = b & 0xff;
+      
+      if (b === 0) throw new Error('0による除算はできません');
+      if (a === 0) return 0;
+      
+      // b の逆元を計算
+      const b_inv = this.inverse(b);
+      
+      // a / b = a * (b^-1)
+      return this.mul(a, b_inv);
+    },
+    
+    // 逆元計算（拡張ユークリッドアルゴリズム）
+    inverse: function(a) {
+      if (a === 0) throw new Error('0の逆元は存在しません');
+      
+      // 拡張ユークリッドアルゴリズムによるGF(256)での逆元計算
+      let t = 0, newt = 1;
+      let r = 0x11b, newr = a; // 0x11b = x^8 + x^4 + x^3 + x + 1
+      
+      while (newr !== 0) {
+        const quotient = this.polyDiv(r, newr);
+        
+        [t, newt] = [newt, t ^ this.polyMul(quotient, newt)];
+        [r, newr] = [newr, r ^ this.polyMul(quotient, newr)];
+      }
+      
+      if (r > 1) {
+        throw new Error('多項式は可逆ではありません');
+      }
+      
+      return t;
+    },
+    
+    // 多項式除算（GF(2)上）- 逆元計算用
+    polyDiv: function(a, b) {
+      if (b === 0) throw new Error('0による多項式除算はできません');
+      
+      let result = 0;
+      let degree_diff = this.degree(a) - this.degree(b);
+      
+      if (degree_diff < 0) return 0;
+      
+      for (let i = degree_diff; i >= 0; i--) {
+        if (a & (1 << (i + this.degree(b)))) {
           result |= 1 << i;
           a ^= b << i;
         }
       }
       
-      return result;
-    },
+      return result;
+    },
+    
+    // 多項式乗算（GF(2)上）- 逆元計算用
+    polyMul: function(a, b) {
+      let result = 0;
+      
+      while (a > 0) {
+        if (a & 1) {
+          result ^= b;
+        }
+        b <<= 1;
+        a >>= 1;
+      }
+      
+      return result;
+    },
+    
+    // 多項式の次数
+    degree: function(a) {
+      let degree = -1;
+      
+      for (let i = 0; i < 32; i++) {
+        if (a & (1 << i)) {
+          degree = i;
+        }
+      }
+      
+      return degree;
+    }
+  };
+  
+  
+  
+
+// secrets.js-grempeと同じ原始多項式（ビット数ごと）
+const SECRETS_JS_PRIMITIVE_POLYNOMIALS = {
+  8: 29, // x^8 + x^4 + x^3 + x^2 + 1 (0x11d)
+  16: 45 // x^16 + x^5 + x^3 + x^2 + 1
+};
+
+// 作成済みの有限体（ビット数ごとにキャッシュ）
+const galoisFields = new Map();
+
+/**
+ * 対数・指数テーブルを使用したGF(2^bits)を取得
+ * secrets.js-grempeと同じ原始多項式を使用し、GF256と同じ演算インターフェースを持つ
+ * @param {number} bits - ビット数（8または16）
+ * @returns {Object} 有限体の演算（add, sub, mul, div, inverse）
+ */
+const getGaloisField = (bits) => {
+  if (galoisFields.has(bits)) {
+    return galoisFields.get(bits);
+  }
+  
+  const primitive = SECRETS_JS_PRIMITIVE_POLYNOMIALS[bits];
+  if (!primitive) {
+    throw new Error(`未対応のビット数です: ${bits}`);
+  }
+  
+  const size = 1 << bits;
+  const max = size - 1;
+  const logs = new Array(size);
+  const exps = new Array(max);
+  
+  let x = 1;
+  for (let i = 0; i < max; i++) {
+    exps[i] = x;
+    logs[x] = i;
+    x <<= 1;
+    if (x >= size) {
+      x = (x ^ primitive) & max;
+    }
+  }
+  
+  const field = {
+    bits,
+    add: (a, b) => a ^ b,
+    sub: (a, b) => a ^ b,
+    mul: (a, b) => (a === 0 || b === 0 ? 0 : exps[(logs[a] + logs[b]) % max]),
+    div: (a, b) => {
+      if (b === 0) throw new Error('0による除算はできません');
+      if (a === 0) return 0;
+      return exps[(logs[a] - logs[b] + max) % max];
+    },
+    inverse: (a) => {
+      if (a === 0) throw new Error('0の逆元は存在しません');
+      return exps[(max - logs[a]) % max];
+    }
+  };
+  
+  galoisFields.set(bits, field);
+  return field;
+};
+
+    /**
+     * 多項式を評価する関数（修正版）
+     * @param {Uint8Array|Array} coeffs - 多項式の係数（低次から高次）
+     * @param {number} x - 評価するx値
+     * @param {Object} [field] - 使用する有限体（省略時はGF256）
+     * @returns {number} 評価結果
+     */
+    function evaluatePolynomial(coeffs, x, field = GF256) {
+        if (x === 0) return coeffs[0];
+        
+        let result = 0;
+        // 係数を高次から低次の順に処理
+        for (let i = coeffs.length - 1; i >= 0; i--) {
+          result = field.add(field.mul(result, x), coeffs[i]);
+        }
+        return result;
+      }
+    
+
+
+/**
+ * ラグランジュ補間法で多項式を復元（修正版）
+ * @param {Array} points - (x, y)座標の配列
+ * @param {Object} [field] - 使用する有限体（省略時はGF256）
+ * @param {Function} [log] - 途中経過のログ出力先（省略時はconsole.log）
+ * @returns {number} f(0)の値
+ */
+const lagrangeInterpolation = (points, field = GF256, log = console.log) => {
+    log('ラグランジュ補間開始 - ポイント:', JSON.stringify(points));
+    
+    if (points.length === 0) {
+      throw new Error('ポイントが必要です');
+    }
+    
+    // f(0)を求める
+    let result = 0;
+    
+    for (let i = 0; i < points.length; i++) {
+      const [xi, yi] = points[i];
+      log(`ポイント[${i}]: (${xi}, ${yi})`);
+      
+      // このポイントのラグランジュ基底多項式の値を計算
+      let basis = 1;
+      
+      for (let j = 0; j < points.length; j++) {
+        if (i === j) continue;
+        
+        const [xj] = points[j];
+        
+        // 分子: (0 - xj) = xj (GF(256)では -xj = xj)
+        const num = xj;
+        
+        // 分母: (xi - xj)
+        const denom = field.sub(xi, xj);
+        
+        if (denom === 0) {
+          throw new Error(`重複するx座標: xi=${xi}, xj=${xj}`);
+        }
+        
+        // 除算
+        const term = field.div(num, denom);
+        log(`  j=${j}: xj=${xj}, 分子=${num}, 分母=${denom}, 項=${term}`);
+        
+        // 基底多項式に掛ける
+        basis = field.mul(basis, term);
+      }
+      
+      log(`  基底多項式 L_${i}(0) = ${basis}`);
+      
+      // yi * Li(0)
+      const term = field.mul(yi, basis);
+      log(`  項の寄与: ${yi} * ${basis} = ${term}`);
+      
+      // 累積結果に加算
+      result = field.add(result, term);
+      log(`  現在の結果: ${result}`);
+    }
+    
+    log(`最終結果: ${result}`);
+    return result;
+  };
+  
+
+/**
+ * バイト配列を16進数文字列に変換
+ * @param {Uint8Array} bytes - バイト配列
+ * @returns {string} 16進数文字列
+ */
+export const bytesToHex = (bytes) => {
+    return Array.from(bytes)
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  };
+
+
+// シェアの形式
+// 拡張形式（16進数）: バージョン(1) + フィールド(1) + ビット数(1) + エンコーディング(1)
+//   + しきい値(2) + 分割ID(4) + x座標(2) + y値 + CRC-32(4)
+// 旧形式: "80" + x（16進数2桁）+ y値
+// secrets.js-grempe形式: ビット数（36進数1文字）+ x（16進数）+ データ（16進数）
+const SHARE_VERSION = 1;
+const SHARE_HEADER_SIZE = 12;
+const SHARE_CHECKSUM_SIZE = 4;
+const SHARE_FIELD_GF256 = 0; // GF(2^8)、既約多項式 0x11b
+const SHARE_FIELD_LOG_TABLE = 1; // GF(2^bits)、secrets.js-grempeと同じ原始多項式（getGaloisField）
+export const MAX_SHARES = { 8: 255, 16: 65535 }; // ビット数ごとの最大シェア数
+const SHARE_ENCODINGS = ['utf-8', 'binary']; // 'binary'の場合は結合時にUint8Arrayを返す
+const LEGACY_SHARE_PREFIX = '80';
+const SECRETS_JS_DEFAULT_PAD_LENGTH = 128; // secrets.js-grempeの既定値（ビット単位）
+
+/**
+ * バイト配列を有限体の要素の配列に変換（16ビットの場合はビッグエンディアン）
+ * @param {Uint8Array} bytes - バイト配列
+ * @param {number} bits - 有限体のビット数（8または16）
+ * @returns {Array<number>} 要素の配列
+ */
+const bytesToFieldElements = (bytes, bits) => {
+  if (bits === 8) {
+    return Array.from(bytes);
+  }
+  const elements = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    elements.push((bytes[i] << 8) | bytes[i + 1]);
+  }
+  return elements;
+};
+
+/**
+ * 有限体の要素の配列をバイト配列に変換
+ * @param {Array<number>|Uint16Array} elements - 要素の配列
+ * @param {number} bits - 有限体のビット数（8または16）
+ * @returns {Uint8Array} バイト配列
+ */
+const fieldElementsToBytes = (elements, bits) => {
+  if (bits === 8) {
+    return Uint8Array.from(elements);
+  }
+  const bytes = new Uint8Array(elements.length * 2);
+  Array.from(elements).forEach((element, i) => {
+    bytes[i * 2] = element >> 8;
+    bytes[i * 2 + 1] = element & 0xff;
+  });
+  return bytes;
+};
+
+/**
+ * secrets.js-grempe形式で分割する秘密にパディングを付加
+ * secrets.js-grempeと同様に先頭へマーカービット（1）を付け、
+ * padLengthビットの倍数、さらに要素のビット数の倍数になるよう左側を0で埋める
+ * @param {Uint8Array} secretBytes - 秘密のバイト配列
+ * @param {number} padLength - パディングの単位（ビット、8の倍数）
+ * @param {number} [bits] - 有限体のビット数（8または16）
+ * @returns {Uint8Array} パディングされたバイト配列
+ */
+const padSecretsJsSecret = (secretBytes, padLength, bits = 8) => {
+  if (padLength % 8 !== 0 || padLength < 0 || padLength > 1024) {
+    throw new Error('パディング長は0から1024までの8の倍数である必要があります');
+  }
+  
+  const unit = Math.max(padLength / 8, 1);
+  const elementSize = bits / 8;
+  const length = Math.ceil(Math.ceil((secretBytes.length + 1) / unit) * unit / elementSize) * elementSize;
+  const padded = new Uint8Array(length);
+  padded[length - secretBytes.length - 1] = 0x01; // マーカー
+  padded.set(secretBytes, length - secretBytes.length);
+  return padded;
+};
+
+/**
+ * secrets.js-grempe形式のパディングを除去
+ * @param {Uint8Array} padded - 復元されたバイト配列
+ * @returns {Uint8Array} 秘密のバイト配列
+ */
+const unpadSecretsJsSecret = (padded) => {
+  const markerIndex = padded.findIndex(b => b !== 0);
+  if (markerIndex === -1 || padded[markerIndex] !== 0x01) {
+    throw new Error('パディングが不正です（シェアが正しくないか、バイト単位でない秘密です）');
+  }
+  return padded.slice(markerIndex + 1);
+};
+
+/**
+ * secrets.js-grempe形式のシェアかどうか
+ * 先頭1文字がビット数（36進数）で、全体の長さが奇数になる
+ * @param {string} value - シェアの値
+ * @returns {boolean} secrets.js-grempe形式の場合はtrue
+ */
+const isSecretsJsShare = (value) => {
+  return typeof value === 'string' && value.length % 2 === 1 && /^[8g][0-9a-f]+$/i.test(value);
+};
+
+/**
+ * secrets.js-grempe形式のシェアを解析
+ * @param {string} value - シェアの値
+ * @param {Object|string} share - 元のシェア（エンコーディング情報の取得用）
+ * @returns {Object} シェア情報
+ */
+const parseSecretsJsShare = (value, share) => {
+  const bits = parseInt(value[0], 36);
+  const field = getGaloisField(bits);
+  const idLength = ((1 << bits) - 1).toString(16).length;
+  const elementLength = bits / 4;
+  const data = value.substring(1 + idLength);
+  
+  if (data.length === 0 || data.length % elementLength !== 0) {
+    throw new Error('secrets.js形式のシェアのデータ長が不正です');
+  }
+  
+  const x = parseInt(value.substring(1, 1 + idLength), 16);
+  if (x === 0) {
+    throw new Error('x座標が不正です');
+  }
+  
+  const y = [];
+  for (let i = 0; i < data.length; i += elementLength) {
+    y.push(parseInt(data.substring(i, i + elementLength), 16));
+  }
+  
+  return {
+    version: 0,
+    format: 'secrets.js',
+    legacy: false,
+    threshold: null,
+    splitId: null,
+    bits,
+    field,
+    x,
+    y,
+    encoding: (share && share.encoding) || 'utf-8'
+  };
+};
+
+// CRC-32（IEEE 802.3）のテーブル
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32を計算
+ * @param {Uint8Array} bytes - バイト配列
+ * @returns {number} CRC-32値（符号なし32ビット）
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * シェアを拡張形式（ヘッダーとチェックサム付き）にエンコード
+ * @param {Object} fields - シェアの内容（threshold, splitId, x, y, encoding, fieldId, bits）
+ * @returns {string} シェアの値（16進数）
+ */
+const encodeShareValue = ({ threshold, splitId, x, y, encoding, fieldId = SHARE_FIELD_GF256, bits = 8 }) => {
+  const encodingIndex = SHARE_ENCODINGS.indexOf(encoding);
+  if (encodingIndex === -1) {
+    throw new Error(`未対応のエンコーディングです: ${encoding}`);
+  }
+  
+  const bytes = new Uint8Array(SHARE_HEADER_SIZE + y.length + SHARE_CHECKSUM_SIZE);
+  const view = new DataView(bytes.buffer);
+  
+  view.setUint8(0, SHARE_VERSION);
+  view.setUint8(1, fieldId);
+  view.setUint8(2, bits);
+  view.setUint8(3, encodingIndex);
+  view.setUint16(4, threshold);
+  bytes.set(hexToBytes(splitId), 6);
+  view.setUint16(10, x);
+  bytes.set(y, SHARE_HEADER_SIZE);
+  
+  const checksumOffset = bytes.length - SHARE_CHECKSUM_SIZE;
+  view.setUint32(checksumOffset, crc32(bytes.subarray(0, checksumOffset)));
+  
+  return bytesToHex(bytes);
+};
+
+/**
+ * シェアを解析してヘッダー情報を取得
+ * 拡張形式ではチェックサムを検証し、破損や入力ミスを検出する。
+ * 旧形式（"80"で始まる）のシェアにはヘッダーがないため、legacy: trueで返す。
+ * 単語リスト形式（shareToMnemonic）とsecrets.js-grempe形式の文字列も受け付ける
+ * @param {Object|string} share - シェア（オブジェクト、値の文字列、または単語リスト）
+ * @returns {Object} シェア情報（version, format, threshold, splitId, x, y, encoding, legacy）
+ */
+export const parseShare = (share) => {
+  let value = (share && share.value) || share;
+  
+  // 単語リスト形式の場合は16進数に戻す
+  if (isMnemonicShare(value)) {
+    value = mnemonicToShare(value).value;
+  }
+  
+  // secrets.js-grempe形式（ヘッダーもチェックサムもない）
+  if (isSecretsJsShare(value)) {
+    return parseSecretsJsShare(value, share);
+  }
+  
+  if (typeof value !== 'string' || !/^[0-9a-f]*$/i.test(value) || value.length % 2 !== 0) {
+    throw new Error('シェアは16進数の文字列である必要があります');
+  }
+  
+  // 旧形式
+  if (value.startsWith(LEGACY_SHARE_PREFIX)) {
+    if (value.length < 6) {
+      throw new Error('シェアが短すぎます');
+    }
+    return {
+      version: 0,
+      format: 'legacy',
+      legacy: true,
+      threshold: null,
+      splitId: null,
+      bits: 8,
+      field: GF256,
+      x: parseInt(value.substring(2, 4), 16),
+      y: Array.from(hexToBytes(value.substring(4))),
+      encoding: (share && share.encoding) || 'utf-8'
+    };
+  }
+  
+  const bytes = hexToBytes(value);
+  if (bytes[0] !== SHARE_VERSION) {
+    throw new Error(`未対応のシェアバージョンです: ${bytes[0]}`);
+  }
+  if (bytes.length <= SHARE_HEADER_SIZE + SHARE_CHECKSUM_SIZE) {
+    throw new Error('シェアが短すぎます（切り詰められている可能性があります）');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const checksumOffset = bytes.length - SHARE_CHECKSUM_SIZE;
+  if (view.getUint32(checksumOffset) !== crc32(bytes.subarray(0, checksumOffset))) {
+    throw new Error('チェックサムが一致しません（シェアが破損しているか入力に誤りがあります）');
+  }
+  
+  const fieldId = view.getUint8(1);
+  const bits = view.getUint8(2);
+  let field;
+  if (fieldId === SHARE_FIELD_GF256 && bits === 8) {
+    field = GF256;
+  } else if (fieldId === SHARE_FIELD_LOG_TABLE && MAX_SHARES[bits]) {
+    field = getGaloisField(bits);
+  } else {
+    throw new Error(`未対応の有限体です: ${fieldId}/${bits}`);
+  }
+  
+  const payload = bytes.subarray(SHARE_HEADER_SIZE, checksumOffset);
+  if (payload.length % (bits / 8) !== 0) {
+    throw new Error('シェアのデータ長が不正です');
+  }
+  
+  const encoding = SHARE_ENCODINGS[view.getUint8(3)];
+  if (!encoding) {
+    throw new Error(`未対応のエンコーディングです: ${view.getUint8(3)}`);
+  }
+  
+  const x = view.getUint16(10);
+  if (x === 0) {
+    throw new Error('x座標が不正です');
+  }
+  
+  return {
+    version: SHARE_VERSION,
+    format: 'extended',
+    legacy: false,
+    threshold: view.getUint16(4),
+    splitId: bytesToHex(bytes.subarray(6, 10)),
+    bits,
+    field,
+    x,
+    y: bytesToFieldElements(payload, bits),
+    encoding
+  };
+};
+
+/**
+ * 結合前にシェアの組を検証
+ * 破損したシェア、別の分割のシェア、重複、不足を具体的に報告する
+ * @param {Array} shares - シェアの配列
+ * @returns {Array} 解析されたシェアの配列
+ */
+const validateShareSet = (shares) => {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new Error('有効なシェアがありません');
+  }
+  
+  // 各シェアを解析し、破損したものをまとめて報告
+  const damaged = [];
+  const parsed = shares.map((share, index) => {
+    try {
+      return parseShare(share);
+    } catch (error) {
+      damaged.push(`${index + 1}番目: ${error.message}`);
+      return null;
+    }
+  });
+  if (damaged.length > 0) {
+    throw new Error(`破損したシェアがあります - ${damaged.join('; ')}`);
+  }
+  
+  if (parsed.some(share => share.format !== parsed[0].format || share.bits !== parsed[0].bits)) {
+    throw new Error('形式の異なるシェアが混在しています');
+  }
+  
+  // 分割IDが最も多いものを基準として、異なる分割のシェアを報告
+  if (parsed[0].splitId !== null) {
+    const counts = {};
+    parsed.forEach(share => {
+      counts[share.splitId] = (counts[share.splitId] || 0) + 1;
+    });
+    const splitId = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    const foreign = parsed
+      .map((share, index) => (share.splitId === splitId ? null : index + 1))
+      .filter(index => index !== null);
+    if (foreign.length > 0) {
+      throw new Error(
+        `別の分割のシェアが含まれています: ${foreign.join(', ')}番目（基準の分割ID: ${splitId}）`
+      );
+    }
+  }
+  
+  // 重複チェック
+  const seen = new Map();
+  parsed.forEach((share, index) => {
+    if (seen.has(share.x)) {
+      throw new Error(`重複するシェアがあります: ${seen.get(share.x)}番目と${index + 1}番目`);
+    }
+    seen.set(share.x, index + 1);
+  });
+  
+  // 不足チェック（しきい値は拡張形式のみ記録されている）
+  const threshold = parsed[0].threshold;
+  if (threshold !== null && parsed.length < threshold) {
+    throw new Error(
+      `シェアが不足しています: ${threshold}個必要ですが、${parsed.length}個しかありません（あと${threshold - parsed.length}個必要です）`
+    );
+  }
+  
+  return parsed;
+};
+
+
+// 単語リスト（ニーモニック）形式のシェア
+// 単語リストはBIP-39英語版（2048語、1語あたり11ビット、先頭4文字で一意）を使用する。
+// ペイロード: シェアのバイト長(2) + シェアのバイト列 + CRC-32(4) を上位ビットから11ビットずつ
+// 単語に変換し、最後の単語の余りビットは0で埋める
+const MNEMONIC_WORDLIST = wordlists.en;
+const MNEMONIC_BITS_PER_WORD = 11;
+const MNEMONIC_PREFIX_LENGTH = 4;
+
+// 先頭4文字から単語のインデックスを引くためのマップ（初回使用時に作成）
+let mnemonicPrefixIndex = null;
+
+/**
+ * 単語（または先頭4文字の省略形）を単語リストのインデックスに変換
+ * @param {string} word - 単語
+ * @returns {number} インデックス（見つからない場合は-1）
+ */
+const lookupMnemonicWord = (word) => {
+  const index = MNEMONIC_WORDLIST.getWordIndex(word);
+  if (index !== -1 || word.length < MNEMONIC_PREFIX_LENGTH) {
+    return index;
+  }
+  
+  if (!mnemonicPrefixIndex) {
+    mnemonicPrefixIndex = new Map();
+    for (let i = 0; i < 2048; i++) {
+      mnemonicPrefixIndex.set(MNEMONIC_WORDLIST.getWord(i).substring(0, MNEMONIC_PREFIX_LENGTH), i);
+    }
+  }
+  
+  const prefixIndex = mnemonicPrefixIndex.get(word.substring(0, MNEMONIC_PREFIX_LENGTH));
+  // 省略形は先頭4文字ちょうどの場合のみ受け付ける（綴り間違いの見逃しを防ぐ）
+  return prefixIndex !== undefined && word.length === MNEMONIC_PREFIX_LENGTH ? prefixIndex : -1;
+};
+
+/**
+ * 単語リスト形式のシェアかどうか
+ * @param {*} value - シェアの値
+ * @returns {boolean} 空白区切りの単語列の場合はtrue
+ */
+const isMnemonicShare = (value) => {
+  return typeof value === 'string' && /^[a-z]+(\s+[a-z]+)+$/i.test(value.trim());
+};
+
+/**
+ * シェアを単語リスト形式にエンコード
+ * 紙に書き写して後から入力し直せるよう、チェックサム付きの英単語列に変換する
+ * @param {Object|string} share - シェア（createSharesで作成したもの）
+ * @returns {string} 空白区切りの単語列
+ */
+export const shareToMnemonic = (share) => {
+  const value = (share && share.value) || share;
+  if (typeof value !== 'string' || !/^[0-9a-f]+$/i.test(value) || value.length % 2 !== 0) {
+    throw new Error('単語リストに変換できるのは16進数形式のシェアのみです');
+  }
+  
+  const shareBytes = hexToBytes(value);
+  if (shareBytes.length > 0xffff) {
+    throw new Error('シェアが大きすぎます');
+  }
+  
+  // バイト長 + シェア + CRC-32
+  const payload = new Uint8Array(2 + shareBytes.length + 4);
+  const view = new DataView(payload.buffer);
+  view.setUint16(0, shareBytes.length);
+  payload.set(shareBytes, 2);
+  view.setUint32(payload.length - 4, crc32(payload.subarray(0, payload.length - 4)));
+  
+  // 11ビットずつ単語に変換
+  const words = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  payload.forEach(byte => {
+    buffer = (buffer << 8) | byte;
+    bufferBits += 8;
+    while (bufferBits >= MNEMONIC_BITS_PER_WORD) {
+      bufferBits -= MNEMONIC_BITS_PER_WORD;
+      words.push(MNEMONIC_WORDLIST.getWord((buffer >> bufferBits) & 0x7ff));
+    }
+    buffer &= (1 << bufferBits) - 1;
+  });
+  if (bufferBits > 0) {
+    words.push(MNEMONIC_WORDLIST.getWord((buffer << (MNEMONIC_BITS_PER_WORD - bufferBits)) & 0x7ff));
+  }
+  
+  return words.join(' ');
+};
+
+/**
+ * 単語リスト形式のシェアをデコード
+ * 大文字小文字や余分な空白は無視し、各単語は先頭4文字の省略形でも入力できる。
+ * 拡張形式のシェアはヘッダーに記録されたエンコーディングを使用し、
+ * ヘッダーのないシェア（旧形式・secrets.js形式）はoptions.encodingで指定する
+ * @param {string} mnemonic - 空白区切りの単語列
+ * @param {Object} [options] - オプション
+ * @param {string} [options.encoding] - ヘッダーのないシェアのエンコーディング（既定は'utf-8'）
+ * @returns {Object} シェア（id, value, encoding）
+ */
+export const mnemonicToShare = (mnemonic, options = {}) => {
+  if (typeof mnemonic !== 'string') {
+    throw new Error('単語リストは文字列である必要があります');
+  }
+  
+  const words = mnemonic.trim().toLowerCase().split(/\s+/);
+  
+  // 単語をインデックスに変換（不明な単語は位置とともに報告）
+  const unknown = [];
+  const indexes = words.map((word, i) => {
+    const index = lookupMnemonicWord(word);
+    if (index === -1) {
+      unknown.push(`${i + 1}番目の単語「${word}」`);
+    }
+    return index;
+  });
+  if (unknown.length > 0) {
+    throw new Error(`単語リストにない単語があります: ${unknown.join(', ')}`);
+  }
+  
+  // 11ビットずつバイト列に戻す
+  const bytes = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  indexes.forEach(index => {
+    buffer = (buffer << MNEMONIC_BITS_PER_WORD) | index;
+    bufferBits += MNEMONIC_BITS_PER_WORD;
+    while (bufferBits >= 8) {
+      bufferBits -= 8;
+      bytes.push((buffer >> bufferBits) & 0xff);
+    }
+    buffer &= (1 << bufferBits) - 1;
+  });
+  
+  const payload = new Uint8Array(bytes);
+  if (payload.length < 6) {
+    throw new Error('単語の数が足りません');
+  }
+  
+  const view = new DataView(payload.buffer);
+  const length = view.getUint16(0);
+  const expectedWords = Math.ceil(((2 + length + 4) * 8) / MNEMONIC_BITS_PER_WORD);
+  if (words.length !== expectedWords) {
+    throw new Error(`単語の数が一致しません: ${expectedWords}語必要ですが、${words.length}語あります`);
+  }
+  
+  // 埋め草ビットは0でなければならない
+  const checksumOffset = 2 + length;
+  const padding = payload.subarray(checksumOffset + 4);
+  if (buffer !== 0 || padding.some(b => b !== 0) ||
+      view.getUint32(checksumOffset) !== crc32(payload.subarray(0, checksumOffset))) {
+    throw new Error('チェックサムが一致しません（単語の入力に誤りがあります）');
+  }
+  
+  const value = bytesToHex(payload.subarray(2, checksumOffset));
+  // ヘッダーのエンコーディングを優先し、ヘッダーがなければ指定値（既定は'utf-8'）を使う
+  const { encoding } = parseShare({ value, encoding: options.encoding });
+  
+  return {
+    id: `share-${uuidv4()}`,
+    value,
+    encoding
+  };
+};
+
+
+/**
+ * 分割する秘密をバイト配列とエンコーディングに変換
+ * バイナリ（Uint8Array、ArrayBuffer）はそのまま扱い、それ以外は従来どおり
+ * 文字列に変換してUTF-8でエンコードする（数値などは文字列として復元される）
+ * @param {string|Uint8Array|ArrayBuffer|*} secret - 分割する秘密情報
+ * @returns {Object} バイト配列とエンコーディング（bytes, encoding）
+ */
+export const secretToBytes = (secret) => {
+  if (secret instanceof Uint8Array) {
+    return { bytes: secret, encoding: 'binary' };
+  }
+  if (secret instanceof ArrayBuffer) {
+    return { bytes: new Uint8Array(secret), encoding: 'binary' };
+  }
+  return { bytes: new TextEncoder().encode(secret), encoding: 'utf-8' };
+};
+
+/**
+ * シャミア秘密分散法で秘密を複数のシェアに分割（修正版）
+ * バイナリ（Uint8Array/ArrayBuffer）を渡した場合はシェアに'binary'が記録され、
+ * combineSharesはUint8Arrayを返す
+ * @param {string|Uint8Array|ArrayBuffer} secret - 分割する秘密情報
+ * @param {number} totalShares - 総シェア数
+ * @param {number} threshold - 必要なシェア数
+ * @param {Object} [options] - オプション
+ * @param {string} [options.format] - 'extended'（既定、ヘッダーとチェックサム付き）または
+ *   'secrets.js'（secrets.js-grempeのcombineで結合できる形式）
+ * @param {number} [options.padLength] - secrets.js形式のパディング単位（ビット、既定は128）
+ * @param {number} [options.bits] - 有限体のビット数。8（既定、最大255シェア）または
+ *   16（GF(2^16)、最大65535シェア）。ビット数はシェアに記録され、結合時に自動で選択される
+ * @returns {Array} シェアの配列
+ */
+export const createShares = (secret, totalShares, threshold, options = {}) => {
+  try {
+    const bits = options.bits || 8;
+    if (!MAX_SHARES[bits]) {
+      throw new Error(`未対応のビット数です: ${bits}（8または16を指定してください）`);
+    }
+    
+    // 入力検証
+    if (threshold < 2) {
+      throw new Error('しきい値は2以上である必要があります');
+    }
+    if (totalShares < threshold) {
+      throw new Error('総シェア数はしきい値以上である必要があります');
+    }
+    if (totalShares > MAX_SHARES[bits]) {
+      throw new Error(`総シェア数は${MAX_SHARES[bits]}以下である必要があります`);
+    }
+    
+    const format = options.format || 'extended';
+    if (format !== 'extended' && format !== 'secrets.js') {
+      throw new Error(`未対応のシェア形式です: ${format}`);
+    }
+    
+    // 秘密情報をバイト配列に変換
+    // エンコーディング情報は復元時に必要なのでシェアに保存する
+    const secretInput = secretToBytes(secret);
+    let secretBytes = secretInput.bytes;
+    const encoding = secretInput.encoding;
+    // 秘密そのものはログに出力しない（長さのみ）
+    console.log('秘密のバイト長:', secretBytes.length);
+    
+    // secrets.js形式と16ビットの拡張形式では対数テーブル方式の有限体とマーカー付きパディングを使用
+    // （8ビットの拡張形式は従来のGF256）
+    const field = format === 'secrets.js' || bits !== 8 ? getGaloisField(bits) : GF256;
+    if (format === 'secrets.js') {
+      const padLength = options.padLength === undefined ? SECRETS_JS_DEFAULT_PAD_LENGTH : options.padLength;
+      secretBytes = padSecretsJsSecret(secretBytes, padLength, bits);
+    } else if (bits !== 8) {
+      secretBytes = padSecretsJsSecret(secretBytes, 0, bits);
+    }
+    const elements = bytesToFieldElements(secretBytes, bits);
+    
+    // シェアのリスト
+    const shares = [];
+    
+    // 要素・参加者ごとのログは8ビットの場合のみ出力（16ビットではシェア数が多く、ログが膨大になるため）
+    const logDetails = bits === 8;
+    
+    // 要素（8ビットの場合はバイト）ごとに処理
+    for (let byteIndex = 0; byteIndex < elements.length; byteIndex++) {
+      // 各要素に対して多項式を作成
+      const coeffs = bits === 8 ? new Uint8Array(threshold) : new Uint16Array(threshold);
+      
+      // a_0はシークレットの値
+      coeffs[0] = elements[byteIndex];
+      
+      // a_1からa_{t-1}は乱数
+      window.crypto.getRandomValues(coeffs.subarray(1));
+      
+      // 各参加者にシェアを生成
+      for (let x = 1; x <= totalShares; x++) {
+        // インデックスは1から始まる
+        const y = evaluatePolynomial(coeffs, x, field);
+        if (logDetails) {
+          console.log(`参加者 ${x}, バイト ${byteIndex}, 多項式結果: ${y}`);
+        }
+        
+        if (shares[x - 1] === undefined) {
+          shares[x - 1] = {
+            x,
+            y: [y]  // 通常の配列として保持
+          };
+        } else {
+          shares[x - 1].y.push(y);
+        }
+      }
+    }
+    
+    // secrets.js形式: ビット数（36進数）+ x（16進数、ビット数に応じた桁数）+ データ
+    if (format === 'secrets.js') {
+      const bitsChar = bits.toString(36).toUpperCase();
+      const idLength = MAX_SHARES[bits].toString(16).length;
+      return shares.map(share => ({
+        id: `share-${uuidv4()}`,
+        value: `${bitsChar}${share.x.toString(16).padStart(idLength, '0')}${bytesToHex(fieldElementsToBytes(share.y, bits))}`,
+        encoding
+      }));
+    }
+    
+    // この分割を識別するID（別の分割のシェアの混入を検出するため）
+    const splitId = bytesToHex(window.crypto.getRandomValues(new Uint8Array(4)));
+    
+    // シェアをエンコード - ヘッダーとチェックサム付きの拡張形式
+    const encodedShares = shares.map(share => {
+      const value = encodeShareValue({
+        threshold,
+        splitId,
+        x: share.x,
+        y: fieldElementsToBytes(share.y, bits),
+        encoding,
+        fieldId: bits === 8 ? SHARE_FIELD_GF256 : SHARE_FIELD_LOG_TABLE,
+        bits
+      });
+      if (logDetails) {
+        console.log(`シェアID: share-${share.x}, 分割ID: ${splitId}, 値: ${value}`);
+      }
+      
+      return {
+        id: `share-${uuidv4()}`,
+        value,
+        encoding // エンコーディング情報を追加
+      };
+    });
+    
+    return encodedShares;
+  } catch (error) {
+    console.error('シェア作成に失敗しました:', error);
+    throw new Error('シェア作成に失敗しました: ' + error.message);
+  }
+};
+  
+
+// Feldman VSS（検証可能な秘密分散）で使用する群
+// RFC 3526 MODP 2048ビット群: p = 2q + 1 は安全素数、生成元 g = 2 の位数は素数 q
+const VSS_P = BigInt(
+  '0x' +
+  'ffffffffffffffffc90fdaa22168c234c4c6628b80dc1cd129024e088a67cc74' +
+  '020bbea63b139b22514a08798e3404ddef9519b3cd3a431b302b0a6df25f1437' +
+  '4fe1356d6d51c245e485b576625e7ec6f44c42e9a637ed6b0bff5cb6f406b7ed' +
+  'ee386bfb5a899fa5ae9f24117c4b1fe649286651ece45b3dc2007cb8a163bf05' +
+  '98da48361c55d39a69163fa8fd24cf5f83655d23dca3ad961c62f356208552bb' +
+  '9ed529077096966d670c354e4abc9804f1746c08ca18217c32905e462e36ce3b' +
+  'e39e772c180e86039b2783a2ec07a28fb5c55df06f4c52c9de2bcbf695581718' +
+  '3995497cea956ae515d2261898fa051015728e5a8aacaa68ffffffffffffffff'
+);
+const VSS_Q = (VSS_P - BigInt(1)) / BigInt(2);
+const VSS_G = BigInt(2);
+const VSS_ELEMENT_SIZE = 256; // 群の要素・スカラーのバイト数
+const VSS_CHUNK_SIZE = 255; // qより小さい整数に収まる秘密のチャンクサイズ
+const VSS_SHARE_PREFIX = 'vss-';
+
+/**
+ * べき乗剰余を計算
+ * @param {bigint} base - 底
+ * @param {bigint} exponent - 指数
+ * @param {bigint} modulus - 法
+ * @returns {bigint} base^exponent mod modulus
+ */
+const modPow = (base, exponent, modulus) => {
+  const zero = BigInt(0);
+  const one = BigInt(1);
+  let result = one;
+  let b = base % modulus;
+  let e = exponent;
+  
+  while (e > zero) {
+    if (e & one) {
+      result = (result * b) % modulus;
+    }
+    b = (b * b) % modulus;
+    e >>= one;
+  }
+  
+  return result;
+};
+
+/**
+ * 素数を法とする逆元を計算（拡張ユークリッドアルゴリズム）
+ * @param {bigint} a - 値
+ * @param {bigint} modulus - 法（素数）
+ * @returns {bigint} aの逆元
+ */
+const modInverse = (a, modulus) => {
+  let [oldR, r] = [((a % modulus) + modulus) % modulus, modulus];
+  let [oldS, s] = [BigInt(1), BigInt(0)];
+  
+  while (r !== BigInt(0)) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  
+  if (oldR !== BigInt(1)) {
+    throw new Error('逆元が存在しません');
+  }
+  return ((oldS % modulus) + modulus) % modulus;
+};
+
+/**
+ * バイト配列をBigIntに変換（ビッグエンディアン）
+ * @param {Uint8Array} bytes - バイト配列
+ * @returns {bigint} 整数
+ */
+const bytesToBigInt = (bytes) => {
+  return bytes.length === 0 ? BigInt(0) : BigInt('0x' + bytesToHex(bytes));
+};
+
+/**
+ * BigIntを固定長のバイト配列に変換（ビッグエンディアン）
+ * @param {bigint} value - 整数
+ * @param {number} length - バイト数
+ * @returns {Uint8Array} バイト配列
+ */
+const bigIntToBytes = (value, length) => {
+  const hex = value.toString(16).padStart(length * 2, '0');
+  if (hex.length > length * 2) {
+    throw new Error('値が指定されたバイト数に収まりません');
+  }
+  return hexToBytes(hex);
+};
+
+/**
+ * qを法とするランダムなスカラーを生成
+ * @returns {bigint} 0以上q未満の乱数
+ */
+const randomVssScalar = () => {
+  // 64ビット余分に生成して剰余の偏りを無視できる程度にする
+  const bytes = window.crypto.getRandomValues(new Uint8Array(VSS_ELEMENT_SIZE + 8));
+  return bytesToBigInt(bytes) % VSS_Q;
+};
+
+/**
+ * 検証可能なシェアかどうか
+ * @param {Object|string} share - シェア
+ * @returns {boolean} Feldman VSSのシェアの場合はtrue
+ */
+const isVerifiableShare = (share) => {
+  const value = share.value || share;
+  return typeof value === 'string' && value.startsWith(VSS_SHARE_PREFIX);
+};
+
+/**
+ * 検証可能なシェアをデコード
+ * 形式: "vss-" + x（16進数2桁）+ 各チャンクのy（256バイトずつ、16進数）
+ * @param {Object|string} share - シェア
+ * @returns {Object} x座標とチャンクごとのy値（x, y）
+ */
+const decodeVerifiableShare = (share) => {
+  const value = share.value || share;
+  const body = value.substring(VSS_SHARE_PREFIX.length);
+  const yHex = body.substring(2);
+  
+  if (!/^[0-9a-f]+$/i.test(body) || yHex.length === 0 || yHex.length % (VSS_ELEMENT_SIZE * 2) !== 0) {
+    throw new Error('不正な検証可能シェアの形式です');
+  }
+  
+  const x = parseInt(body.substring(0, 2), 16);
+  const y = [];
+  for (let i = 0; i < yHex.length; i += VSS_ELEMENT_SIZE * 2) {
+    y.push(BigInt('0x' + yHex.substring(i, i + VSS_ELEMENT_SIZE * 2)));
+  }
+  
+  return { x, y };
+};
+
+/**
+ * 検証可能な秘密分散（Feldman VSS）で秘密をシェアに分割
+ * 秘密を255バイトごとのチャンクに分け、各チャンクをqを法とする多項式で分散する。
+ * ディーラーは多項式の各係数へのコミットメント g^a_j mod p を公開し、
+ * 各保有者はverifyShareで自分のシェアを単独で検証できる。
+ *
+ * 注意: 定数項へのコミットメントは g^chunk（平文チャンクそのもの）であり、秘密を隠蔽しない。
+ * コミットメントを入手した者は、候補の秘密からg^chunkを計算して照合できるため、
+ * パスワードや短い文字列などエントロピーの低い秘密は辞書攻撃で特定される。
+ * コミットメントは保有者の間でのみ共有し、公開する場合は十分にランダムな鍵などの秘密に限ること
+ * @param {string|Uint8Array|ArrayBuffer} secret - 分割する秘密情報
+ * @param {number} totalShares - 総シェア数
+ * @param {number} threshold - 必要なシェア数
+ * @returns {Object} シェアの配列と公開コミットメント（shares, commitments）
+ */
+export const createVerifiableShares = (secret, totalShares, threshold) => {
+  try {
+    // 入力検証
+    if (threshold < 2) {
+      throw new Error('しきい値は2以上である必要があります');
+    }
+    if (totalShares < threshold) {
+      throw new Error('総シェア数はしきい値以上である必要があります');
+    }
+    if (totalShares > 255) {
+      throw new Error('総シェア数は255以下である必要があります');
+    }
+    
+    const { bytes: secretBytes, encoding } = secretToBytes(secret);
+    
+    const commitmentRows = [];
+    const yValues = Array.from({ length: totalShares }, () => []);
+    
+    // チャンクごとに多項式を作成
+    for (let offset = 0; offset < secretBytes.length; offset += VSS_CHUNK_SIZE) {
+      const chunk = secretBytes.subarray(offset, offset + VSS_CHUNK_SIZE);
+      
+      // a_0はチャンクの値、a_1からa_{t-1}は乱数
+      const coeffs = [bytesToBigInt(chunk)];
+      for (let j = 1; j < threshold; j++) {
+        coeffs.push(randomVssScalar());
+      }
+      
+      // 係数へのコミットメント
+      commitmentRows.push(
+        coeffs.map(a => bytesToHex(bigIntToBytes(modPow(VSS_G, a, VSS_P), VSS_ELEMENT_SIZE)))
+      );
+      
+      // 各参加者のシェアを計算（ホーナー法）
+      for (let x = 1; x <= totalShares; x++) {
+        const bx = BigInt(x);
+        let y = BigInt(0);
+        for (let j = coeffs.length - 1; j >= 0; j--) {
+          y = (y * bx + coeffs[j]) % VSS_Q;
+        }
+        yValues[x - 1].push(y);
+      }
+    }
+    
+    const shares = yValues.map((ys, index) => {
+      const xHex = (index + 1).toString(16).padStart(2, '0');
+      const yHex = ys.map(y => bytesToHex(bigIntToBytes(y, VSS_ELEMENT_SIZE))).join('');
+      return {
+        id: `share-${uuidv4()}`,
+        value: `${VSS_SHARE_PREFIX}${xHex}${yHex}`,
+        encoding,
+        scheme: 'feldman-vss'
+      };
+    });
+    
+    const commitments = {
+      version: 1,
+      scheme: 'feldman-vss',
+      group: 'modp2048',
+      threshold,
+      secretLength: secretBytes.length,
+      commitments: commitmentRows
+    };
+    
+    return { shares, commitments };
+  } catch (error) {
+    console.error('検証可能シェア作成に失敗しました:', error);
+    throw new Error('検証可能シェア作成に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * シェアを公開コミットメントで検証
+ * 各チャンクについて g^y == Π C_j^(x^j) mod p が成り立つか確認する
+ * @param {Object|string} share - createVerifiableSharesで作成したシェア
+ * @param {Object} commitments - createVerifiableSharesで公開されたコミットメント
+ * @returns {boolean} シェアが正しい場合はtrue
+ */
+export const verifyShare = (share, commitments) => {
+  if (!commitments || commitments.scheme !== 'feldman-vss' || commitments.group !== 'modp2048') {
+    throw new Error('未対応のコミットメント形式です');
+  }
+  
+  let decoded;
+  try {
+    decoded = decodeVerifiableShare(share);
+  } catch (error) {
+    return false;
+  }
+  
+  const { x, y } = decoded;
+  if (x === 0 || y.length !== commitments.commitments.length) {
+    return false;
+  }
+  
+  const bx = BigInt(x);
+  return commitments.commitments.every((row, chunkIndex) => {
+    if (y[chunkIndex] >= VSS_Q) {
+      return false;
+    }
+    
+    const lhs = modPow(VSS_G, y[chunkIndex], VSS_P);
+    
+    let rhs = BigInt(1);
+    let xPower = BigInt(1);
+    for (const commitmentHex of row) {
+      rhs = (rhs * modPow(BigInt('0x' + commitmentHex), xPower, VSS_P)) % VSS_P;
+      xPower = (xPower * bx) % VSS_Q;
+    }
+    
+    return lhs === rhs;
+  });
+};
+
+/**
+ * 検証可能なシェアを検証して秘密を復元
+ * @param {Array} shares - シェアの配列
+ * @param {Object} commitments - 公開コミットメント
+ * @returns {string|Uint8Array} 復元された秘密情報
+ */
+const combineVerifiableShares = (shares, commitments) => {
+  if (!commitments) {
+    throw new Error('検証可能なシェアの復元にはコミットメントが必要です');
+  }
+  if (!shares.every(isVerifiableShare)) {
+    throw new Error('検証可能なシェアと通常のシェアが混在しています');
+  }
+  
+  // コミットメントと一致しないシェアを拒否
+  const invalid = shares
+    .map((share, index) => (verifyShare(share, commitments) ? null : index + 1))
+    .filter(index => index !== null);
+  if (invalid.length > 0) {
+    throw new Error(`コミットメントと一致しないシェアがあります: ${invalid.join(', ')}番目`);
+  }
+  
+  const decodedShares = shares.map(decodeVerifiableShare);
+  const xs = decodedShares.map(share => share.x);
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('重複するシェアがあります');
+  }
+  if (decodedShares.length < commitments.threshold) {
+    throw new Error(
+      `シェアが不足しています: ${commitments.threshold}個必要ですが、${decodedShares.length}個しかありません`
+    );
+  }
+  
+  // しきい値分のシェアでラグランジュ基底 L_i(0) を計算（全チャンク共通）
+  const points = decodedShares.slice(0, commitments.threshold);
+  const basis = points.map((pi, i) => {
+    let num = BigInt(1);
+    let den = BigInt(1);
+    points.forEach((pj, j) => {
+      if (i === j) return;
+      num = (num * BigInt(pj.x)) % VSS_Q;
+      den = (den * ((BigInt(pj.x) - BigInt(pi.x) + VSS_Q) % VSS_Q)) % VSS_Q;
+    });
+    return (num * modInverse(den, VSS_Q)) % VSS_Q;
+  });
+  
+  // チャンクごとに復元
+  const result = new Uint8Array(commitments.secretLength);
+  commitments.commitments.forEach((row, chunkIndex) => {
+    let value = BigInt(0);
+    points.forEach((point, i) => {
+      value = (value + point.y[chunkIndex] * basis[i]) % VSS_Q;
+    });
+    
+    const offset = chunkIndex * VSS_CHUNK_SIZE;
+    const length = Math.min(VSS_CHUNK_SIZE, commitments.secretLength - offset);
+    result.set(bigIntToBytes(value, length), offset);
+  });
+  
+  const encoding = shares[0].encoding || 'utf-8';
+  return encoding === 'binary' ? result : new TextDecoder('utf-8', { fatal: true }).decode(result);
+};
+
+/**
+ * シェアを結合して秘密を復元（修正版）
+ * 拡張形式のシェアはチェックサムと分割IDを検証し、破損したシェア、
+ * 別の分割のシェア、不足数を具体的なエラーメッセージで報告する。
+ * 検証可能なシェア（createVerifiableShares）の場合は、options.commitmentsで
+ * 各シェアを検証し、一致しないシェアがあれば復元を拒否する
+ * @param {Array} shares - シェアの配列
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.commitments] - 検証可能なシェアの公開コミットメント
+ * @param {boolean} [options.robust] - trueの場合、冗長なシェアで不正なシェアを訂正（combineSharesRobust）
+ * @param {string} [options.encoding] - ヘッダーのないシェア（旧形式、secrets.js形式）のエンコーディング。
+ *   'binary'を指定するとUint8Arrayを返す（拡張形式ではヘッダーの値が使われる）
+ * @param {boolean} [options.quiet] - trueの場合、シェアや復元途中の値をログに出力しない
+ *   （シェアの組み合わせを変えて何度も結合する場合などに使用する）
+ * @returns {string|Uint8Array} 復元された秘密情報（バイナリの場合はUint8Array）
+ */
+export const combineShares = (shares, options = {}) => {
+  if (options.robust) {
+    return combineSharesRobust(shares, options).secret;
+  }
+  
+  const log = options.quiet ? () => {} : console.log;
+  
+  try {
+    // 検証可能なシェアはコミットメントで検証してから復元
+    if (Array.isArray(shares) && shares.length > 0 && isVerifiableShare(shares[0])) {
+      return combineVerifiableShares(shares, options.commitments);
+    }
+    
+    // シェアを解析・検証（破損、別の分割、重複、不足を検出）
+    const decodedShares = validateShareSet(shares);
+    log('デコードされたシェア:', JSON.stringify(decodedShares));
+    
+    // エンコーディング情報を取得（最初のシェアから）
+    const encoding = resolveShareEncoding(decodedShares[0], options);
+    log('使用するエンコーディング:', encoding);
+    
+    // 全シェアのyの長さが同じか確認
+    const yLengths = decodedShares.map(share => share.y.length);
+    const allSameLength = yLengths.every(length => length === yLengths[0]);
+    if (!allSameLength) {
+      throw new Error('シェアのバイト長が一致しません');
+    }
+    
+    // 秘密の長さは全てのシェアのy配列の長さと同じ
+    const secretLength = decodedShares[0].y.length;
+    
+    // 結果の配列（16ビットの有限体では要素ごとに2バイト）
+    const result = decodedShares[0].bits === 8 ? new Uint8Array(secretLength) : new Uint16Array(secretLength);
+    log('初期化された結果バイト配列:', result);
+    
+    // バイトごとに復元
+    for (let byteIndex = 0; byteIndex < secretLength; byteIndex++) {
+      // 各シェアから対応するバイトのポイントを収集
+      const points = decodedShares.map(share => [
+        share.x,
+        share.y[byteIndex]
+      ]);
+      
+      // ポイントをログ
+      log(`バイト ${byteIndex}, ポイント:`, JSON.stringify(points));
+      
+      // ラグランジュ補間法でf(0)を求める
+      result[byteIndex] = lagrangeInterpolation(points, decodedShares[0].field, log);
+      
+      // 結果をログ
+      log(`バイト ${byteIndex}, 補間結果: ${result[byteIndex]}`);
+    }
+    
+    // 復元されたバイト配列をログ出力
+    log('復元されたバイト配列:', Array.from(result).map(b => b.toString(16).padStart(2, '0')).join(' '));
+    
+    return decodeRecoveredSecret(recoveredValuesToBytes(result, decodedShares[0]), encoding, options.quiet);
+  } catch (error) {
+    if (!options.quiet) {
+      console.error('シェア結合に失敗しました:', error);
+    }
+    throw new Error('シェア結合に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * 復元された値を秘密のバイト配列に変換
+ * @param {Array<number>|Uint8Array} values - 復元された値
+ * @param {Object} parsedShare - 解析されたシェア（形式の判定用）
+ * @returns {Uint8Array} 秘密のバイト配列
+ */
+const recoveredValuesToBytes = (values, parsedShare) => {
+  const bytes = fieldElementsToBytes(values, parsedShare.bits);
+  // secrets.js形式と16ビットの拡張形式はマーカー付きでパディングされている
+  return parsedShare.format === 'secrets.js' || parsedShare.bits !== 8
+    ? unpadSecretsJsSecret(bytes)
+    : bytes;
+};
+
+/**
+ * 復元に使用するエンコーディングを決定
+ * 拡張形式はヘッダーの値、ヘッダーのないシェアはオプションまたはシェアオブジェクトの値を使う
+ * @param {Object} parsedShare - 解析されたシェア
+ * @param {Object} options - combineSharesのオプション
+ * @returns {string} エンコーディング
+ */
+const resolveShareEncoding = (parsedShare, options) => {
+  if (parsedShare.format === 'extended' || !options.encoding) {
+    return parsedShare.encoding;
+  }
+  if (options.encoding !== 'utf-8' && options.encoding !== 'binary') {
+    throw new Error(`未対応のエンコーディングです: ${options.encoding}`);
+  }
+  return options.encoding;
+};
+
+/**
+ * 復元されたバイト配列を秘密情報に変換
+ * @param {Uint8Array} result - 復元されたバイト配列
+ * @param {string} encoding - 秘密のエンコーディング（'binary'の場合はそのまま返す）
+ * @param {boolean} [quiet] - trueの場合、復元された値をログやエラーメッセージに含めない
+ * @returns {string|Uint8Array} 復元された秘密情報
+ */
+const decodeRecoveredSecret = (result, encoding, quiet = false) => {
+  if (encoding === 'binary') {
+    return result;
+  }
+  
+  try {
+    // バイト配列を文字列に変換
+    const decoded = new TextDecoder(encoding).decode(result);
+    if (!quiet) {
+      console.log('デコード結果:', decoded);
+    }
+    return decoded;
+  } catch (decodeError) {
+    if (quiet) {
+      throw new Error(`デコードに失敗しました: ${decodeError.message}`);
+    }
+    console.error('TextDecoderでのデコードに失敗:', decodeError);
     
-    // 多項式乗算（GF(2)上）- 逆元計算用
-    polyMul: function(a, b) {
-      let result = 0;
-      
-      while (a > 0) {
-        if (a & 1) {
-          result ^= b;
-        }
-        b <<= 1;
-        a >>= 1;
-      }
-      
-      return result;
-    },
+    // エラーとともに16進数表現も添えて再スロー
+    const hexString = Array.from(result).map(b => b.toString(16).padStart(2, '0')).join('');
+    throw new Error(`デコードに失敗しました: ${decodeError.message}。データ(16進数): ${hexString}`);
+  }
+};
+
+/**
+ * 有限体上の連立一次方程式をガウスの消去法で解く
+ * 解が複数ある場合は自由変数を0とした解を返す
+ * @param {Array<Array<number>>} matrix - 拡大係数行列（各行の最後が右辺）
+ * @param {number} unknowns - 未知数の数
+ * @param {Object} field - 使用する有限体
+ * @returns {Array<number>|null} 解（解なしの場合はnull）
+ */
+const solveLinearSystem = (matrix, unknowns, field) => {
+  const rows = matrix.map(row => row.slice());
+  const pivotColumns = [];
+  
+  for (let col = 0; col < unknowns && pivotColumns.length < rows.length; col++) {
+    const pivot = pivotColumns.length;
+    const found = rows.findIndex((row, r) => r >= pivot && row[col] !== 0);
+    if (found === -1) continue;
+    [rows[pivot], rows[found]] = [rows[found], rows[pivot]];
     
-    // 多項式の次数
-    degree: function(a) {
-      let degree = -1;
-      
-      for (let i = 0; i < 32; i++) {
-        if (a & (1 << i)) {
-          degree = i;
-        }
-      }
-      
-      return degree;
-    }
-  };
+    // ピボットを1に正規化
+    const inv = field.inverse(rows[pivot][col]);
+    const pivotValues = rows[pivot].map(v => field.mul(v, inv));
+    rows[pivot] = pivotValues;
+    
+    // 他の行から消去
+    rows.forEach((row, r) => {
+      if (r === pivot || row[col] === 0) return;
+      const factor = row[col];
+      rows[r] = row.map((v, c) => field.sub(v, field.mul(factor, pivotValues[c])));
+    });
+    
+    pivotColumns.push(col);
+  }
+  
+  // 矛盾する行（0 = 非0）があれば解なし
+  for (let r = pivotColumns.length; r < rows.length; r++) {
+    if (rows[r][unknowns] !== 0) return null;
+  }
   
+  const solution = new Array(unknowns).fill(0);
+  pivotColumns.forEach((col, r) => {
+    solution[col] = rows[r][unknowns];
+  });
+  return solution;
+};
+
+/**
+ * 有限体上の多項式除算
+ * @param {Array<number>} numerator - 被除数の係数（低次から高次）
+ * @param {Array<number>} denominator - 除数の係数（低次から高次、最高次係数は非0）
+ * @param {Object} field - 使用する有限体
+ * @returns {Object} 商と余り（quotient, remainder）
+ */
+const polyDivide = (numerator, denominator, field) => {
+  const remainder = numerator.slice();
+  const degree = denominator.length - 1;
+  const quotient = new Array(Math.max(remainder.length - degree, 1)).fill(0);
+  const leadInv = field.inverse(denominator[degree]);
   
+  for (let i = remainder.length - 1; i >= degree; i--) {
+    const coef = field.mul(remainder[i], leadInv);
+    quotient[i - degree] = coef;
+    if (coef === 0) continue;
+    for (let j = 0; j <= degree; j++) {
+      remainder[i - degree + j] = field.sub(remainder[i - degree + j], field.mul(coef, denominator[j]));
+    }
+  }
   
+  return { quotient, remainder: remainder.slice(0, degree) };
+};
 
-    /**
-     * 多項式を評価する関数（修正版）
-     * @param {Uint8Array|Array} coeffs - 多項式の係数（低次から高次）
-     * @param {number} x - 評価するx値
-     * @returns {number} 評価結果
-     */
-    function evaluatePolynomial(coeffs, x) {
-        if (x === 0) return coeffs[0];
-        
-        let result = 0;
-        // 係数を高次から低次の順に処理
-        for (let i = coeffs.length - 1; i >= 0; i--) {
-          result = GF256.add(GF256.mul(result, x), coeffs[i]);
-        }
-        return result;
+/**
+ * Berlekamp–Welchアルゴリズムで誤りを含む点列から多項式を復元
+ * n個の点のうち誤りが floor((n - threshold) / 2) 個以下なら正しい多項式を求められる
+ * @param {Array} points - (x, y)座標の配列
+ * @param {number} threshold - しきい値（多項式の次数 + 1）
+ * @param {Object} [field] - 使用する有限体（省略時はGF256）
+ * @returns {Array<number>|null} 多項式の係数（低次から高次、復元できない場合はnull）
+ */
+const berlekampWelch = (points, threshold, field = GF256) => {
+  const maxErrors = Math.floor((points.length - threshold) / 2);
+  
+  // 誤りの数が少ない場合から順に試す
+  for (let e = 0; e <= maxErrors; e++) {
+    // 未知数: Q(x)の係数 q_0..q_{e+t-1}、E(x)の係数 e_0..e_{e-1}（E(x)はモニック）
+    // 各点について Q(x_i) + y_i * E'(x_i) = y_i * x_i^e （GF(2^n)では減算 = 加算）
+    const qTerms = e + threshold;
+    const matrix = points.map(([x, y]) => {
+      const row = [];
+      let power = 1;
+      const powers = [];
+      for (let j = 0; j <= qTerms; j++) {
+        powers.push(power);
+        power = field.mul(power, x);
       }
+      for (let j = 0; j < qTerms; j++) row.push(powers[j]);
+      for (let j = 0; j < e; j++) row.push(field.mul(y, powers[j]));
+      row.push(field.mul(y, powers[e]));
+      return row;
+    });
+    
+    const solution = solveLinearSystem(matrix, qTerms + e, field);
+    if (!solution) continue;
+    
+    const q = solution.slice(0, qTerms);
+    const errorLocator = [...solution.slice(qTerms), 1];
+    const { quotient, remainder } = polyDivide(q, errorLocator, field);
+    if (remainder.some(v => v !== 0)) continue;
     
+    // 復元した多項式と一致しない点が許容数以下か確認
+    const mismatches = points.filter(([x, y]) => evaluatePolynomial(quotient, x, field) !== y).length;
+    if (mismatches <= e) {
+      return quotient;
+    }
+  }
+  
+  return null;
+};
 
+/**
+ * 最も多く現れる値を取得（同数の場合は先に現れた値）
+ * @param {Array<string>} values - 値の配列
+ * @returns {string|null} 最も多い値（空の場合はnull）
+ */
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let result = null;
+  counts.forEach((count, value) => {
+    if (result === null || count > counts.get(result)) {
+      result = value;
+    }
+  });
+  return result;
+};
 
 /**
- * ラグランジュ補間法で多項式を復元（修正版）
- * @param {Array} points - (x, y)座標の配列
- * @returns {number} f(0)の値
+ * 不正なシェアを検出・除外して秘密を復元（誤り訂正付き）
+ * しきい値を超えるシェアが与えられた場合、冗長なシェアを使った
+ * Berlekamp–Welch復号で不一致のシェアを特定し、正しい秘密を復元する。
+ * t個のしきい値でn個のシェアがあれば、floor((n - t) / 2)個までの不正なシェアを訂正できる。
+ * チェックサムが一致しないシェア、別の分割のシェア、形式・しきい値・バイト長などが多数派と異なるシェア、
+ * x座標が重複するシェアは例外にせず除外される。
+ * ヘッダーは不正な参加者でも作り直せるため、しきい値が分かっている場合はoptions.thresholdで指定することを推奨する
+ * （指定しない場合はシェアの多数派のしきい値を使う）
+ * @param {Array} shares - シェアの配列
+ * @param {Object} [options] - オプション
+ * @param {number} [options.threshold] - しきい値（ヘッダーのない旧形式のシェアでは必須、指定を推奨）
+ * @param {string} [options.encoding] - ヘッダーのないシェアのエンコーディング（combineSharesと同じ）
+ * @returns {Object} 復元された秘密と不正なシェアの情報（secret, validShares, invalidShares）
  */
-const lagrangeInterpolation = (points) => {
-    console.log('ラグランジュ補間開始 - ポイント:', JSON.stringify(points));
+export const combineSharesRobust = (shares, options = {}) => {
+  try {
+    if (!Array.isArray(shares) || shares.length === 0) {
+      throw new Error('有効なシェアがありません');
+    }
     
-    if (points.length === 0) {
-      throw new Error('ポイントが必要です');
+    const invalidShares = [];
+    const reject = (index, reason) => {
+      invalidShares.push({ index, id: shares[index].id || null, reason });
+    };
+    
+    // チェックサムが一致しないシェアを除外
+    let candidates = [];
+    shares.forEach((share, index) => {
+      try {
+        candidates.push({ index, parsed: parseShare(share) });
+      } catch (error) {
+        reject(index, error.message);
+      }
+    });
+    
+    // 最も多い分割IDと異なるシェアを除外
+    const splitId = mostCommon(candidates.map(({ parsed }) => String(parsed.splitId)));
+    candidates = candidates.filter(({ index, parsed }) => {
+      if (String(parsed.splitId) === splitId) return true;
+      reject(index, '別の分割のシェアです');
+      return false;
+    });
+    
+    // 形式・有限体・しきい値・エンコーディング・バイト長が多数派と異なるシェアを除外
+    // （ヘッダーは誰でもチェックサムごと作り直せるため、1つのシェアの内容を基準にしない）
+    if (options.threshold !== undefined) {
+      candidates = candidates.filter(({ index, parsed }) => {
+        if (parsed.threshold === null || parsed.threshold === options.threshold) return true;
+        reject(index, `しきい値が指定値と一致しません（${parsed.threshold}）`);
+        return false;
+      });
     }
+    const profileOf = ({ parsed }) => [
+      parsed.format, parsed.bits, parsed.threshold, parsed.encoding, parsed.y.length
+    ].join('/');
+    const profile = mostCommon(candidates.map(profileOf));
+    candidates = candidates.filter(candidate => {
+      if (profileOf(candidate) === profile) return true;
+      reject(candidate.index, '形式・しきい値・エンコーディング・バイト長が他のシェアと一致しません');
+      return false;
+    });
     
-    // f(0)を求める
-    let result = 0;
+    // x座標が重複するシェアを除外（同じ内容なら1つだけ残し、内容が異なればどちらも信頼しない）
+    const valueOf = ({ index }) => (shares[index] && shares[index].value) || shares[index];
+    const byX = new Map();
+    candidates.forEach(candidate => {
+      byX.set(candidate.parsed.x, [...(byX.get(candidate.parsed.x) || []), candidate]);
+    });
+    candidates = candidates.filter(candidate => {
+      const { index, parsed } = candidate;
+      const group = byX.get(parsed.x);
+      if (group.some(other => valueOf(other) !== valueOf(group[0]))) {
+        reject(index, `x座標${parsed.x}のシェアが複数あり、内容が一致しません`);
+        return false;
+      }
+      if (group[0] !== candidate) {
+        reject(index, '重複するシェアです');
+        return false;
+      }
+      return true;
+    });
     
-    for (let i = 0; i < points.length; i++) {
-      const [xi, yi] = points[i];
-      console.log(`ポイント[${i}]: (${xi}, ${yi})`);
-      
-      // このポイントのラグランジュ基底多項式の値を計算
-      let basis = 1;
+    if (candidates.length === 0) {
+      throw new Error('有効なシェアがありません');
+    }
+    const parsedShares = candidates.map(({ parsed }) => parsed);
+    const threshold = options.threshold || parsedShares[0].threshold;
+    if (!threshold) {
+      throw new Error('旧形式のシェアではしきい値の指定が必要です');
+    }
+    if (parsedShares.length < threshold) {
+      throw new Error(`シェアが不足しています: ${threshold}個必要ですが、有効なシェアは${parsedShares.length}個です`);
+    }
+    const secretLength = parsedShares[0].y.length;
+    
+    // バイトごとに誤り訂正付きで多項式を復元し、不一致のシェアを記録
+    const { field } = parsedShares[0];
+    const result = new Array(secretLength);
+    const mismatched = new Set();
+    for (let byteIndex = 0; byteIndex < secretLength; byteIndex++) {
+      const points = parsedShares.map(share => [share.x, share.y[byteIndex]]);
+      const polynomial = berlekampWelch(points, threshold, field);
+      if (!polynomial) {
+        throw new Error(
+          `不正なシェアが多すぎて訂正できません（${parsedShares.length}個のシェアで訂正できるのは` +
+          `${Math.floor((parsedShares.length - threshold) / 2)}個までです）`
+        );
+      }
       
-      for (let j = 0; j < points.length; j++) {
-        if (i === j) continue;
-        
-        const [xj] = points[j];
-        
-        // 分子: (0 - xj) = xj (GF(256)では -xj = xj)
-        const num = xj;
-        
-        // 分母: (xi - xj)
-        const denom = GF256.sub(xi, xj);
-        
-        if (denom === 0) {
-          throw new Error(`重複するx座標: xi=${xi}, xj=${xj}`);
+      result[byteIndex] = polynomial[0] || 0;
+      points.forEach(([x, y], i) => {
+        if (evaluatePolynomial(polynomial, x, field) !== y) {
+          mismatched.add(i);
         }
-        
-        // 除算
-        const term = GF256.div(num, denom);
-        console.log(`  j=${j}: xj=${xj}, 分子=${num}, 分母=${denom}, 項=${term}`);
-        
-        // 基底多項式に掛ける
-        basis = GF256.mul(basis, term);
+      });
+    }
+    
+    // 全体で訂正可能な数を超えていないか確認
+    const maxErrors = Math.floor((parsedShares.length - threshold) / 2);
+    if (mismatched.size > maxErrors) {
+      throw new Error(
+        `不正なシェアが多すぎて訂正できません（${mismatched.size}個のシェアが不一致、訂正できるのは${maxErrors}個までです）`
+      );
+    }
+    
+    mismatched.forEach(i => reject(candidates[i].index, '他のシェアと一致しません'));
+    invalidShares.sort((a, b) => a.index - b.index);
+    
+    const invalidIndexes = new Set(invalidShares.map(share => share.index));
+    const validShares = shares.filter((share, index) => !invalidIndexes.has(index));
+    
+    return {
+      secret: decodeRecoveredSecret(
+        recoveredValuesToBytes(result, parsedShares[0]),
+        resolveShareEncoding(parsedShares[0], options)
+      ),
+      validShares,
+      invalidShares
+    };
+  } catch (error) {
+    console.error('シェア結合に失敗しました:', error);
+    throw new Error('シェア結合に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * 拡張形式のシェアを解析（リフレッシュ・再分散用）
+ * @param {Object|string} share - シェア
+ * @returns {Object} 解析されたシェア
+ */
+const parseExtendedShare = (share) => {
+  const parsed = parseShare(share);
+  if (parsed.format !== 'extended') {
+    throw new Error('ヘッダー付きの拡張形式のシェアのみ対応しています');
+  }
+  return parsed;
+};
+
+/**
+ * x座標のリストを検証
+ * @param {Array<number>} xs - x座標の配列
+ * @param {number} bits - 有限体のビット数
+ */
+const validateShareXs = (xs, bits) => {
+  if (!Array.isArray(xs) || xs.length === 0) {
+    throw new Error('保有者のx座標が必要です');
+  }
+  if (xs.some(x => !Number.isInteger(x) || x < 1 || x > MAX_SHARES[bits])) {
+    throw new Error(`x座標は1から${MAX_SHARES[bits]}までの整数である必要があります`);
+  }
+  if (new Set(xs).size !== xs.length) {
+    throw new Error('x座標が重複しています');
+  }
+};
+
+/**
+ * 定数項を指定した次数 threshold - 1 のランダムな多項式を要素ごとに作成
+ * @param {Array<number>} constants - 各要素の定数項
+ * @param {number} threshold - しきい値
+ * @param {number} bits - 有限体のビット数
+ * @returns {Array<Uint8Array|Uint16Array>} 要素ごとの係数
+ */
+const randomPolynomials = (constants, threshold, bits) => {
+  return constants.map(constant => {
+    const coeffs = bits === 8 ? new Uint8Array(threshold) : new Uint16Array(threshold);
+    coeffs[0] = constant;
+    window.crypto.getRandomValues(coeffs.subarray(1));
+    return coeffs;
+  });
+};
+
+/**
+ * 分割IDの断片をXORで合成
+ * @param {Array<string>} parts - 分割IDの断片（16進数4バイト）
+ * @returns {string} 合成された分割ID
+ */
+const combineSplitIdParts = (parts) => {
+  const result = new Uint8Array(4);
+  parts.forEach(part => {
+    hexToBytes(part).forEach((b, i) => {
+      result[i] ^= b;
+    });
+  });
+  return bytesToHex(result);
+};
+
+/**
+ * シェアのリフレッシュ用の寄与を作成（各保有者が実行）
+ * 定数項が0のランダムな多項式を作成し、全保有者のx座標での値（差分）を宛先ごとのメッセージにする。
+ * 全保有者が各自宛ての差分を自分のシェアに加算すると、秘密は同じまま全てのシェアが
+ * 新しい値に置き換わり、古いシェアは新しいシェアと組み合わせても使えなくなる。
+ * 秘密を1か所で復元する必要はない。戻り値は宛先のx座標をキーとし、各メッセージは
+ * 宛先の保有者だけに渡すこと（encryptWithPublicKey等で暗号化して送る。自分宛てのものは手元に残す）
+ * @param {Object|string} share - 自分のシェア（拡張形式）
+ * @param {Array<number>} holderXs - リフレッシュに参加する全保有者のx座標
+ * @returns {Object} 宛先のx座標をキーとするリフレッシュの寄与（シリアライズ可能）
+ */
+export const createShareRefresh = (share, holderXs) => {
+  try {
+    const parsed = parseExtendedShare(share);
+    validateShareXs(holderXs, parsed.bits);
+    
+    // 定数項0（秘密を変えない）の多項式
+    const polynomials = randomPolynomials(new Array(parsed.y.length).fill(0), parsed.threshold, parsed.bits);
+    // 新しい分割IDは全参加者の断片のXORとなる（全ての宛先に同じ断片を送る）
+    const splitIdPart = bytesToHex(window.crypto.getRandomValues(new Uint8Array(4)));
+    
+    const messages = {};
+    holderXs.forEach(x => {
+      messages[x] = {
+        version: 1,
+        type: 'share-refresh',
+        splitId: parsed.splitId,
+        from: parsed.x,
+        to: x,
+        splitIdPart,
+        value: bytesToHex(fieldElementsToBytes(
+          polynomials.map(coeffs => evaluatePolynomial(coeffs, x, parsed.field)),
+          parsed.bits
+        ))
+      };
+    });
+    return messages;
+  } catch (error) {
+    console.error('シェアのリフレッシュに失敗しました:', error);
+    throw new Error('シェアのリフレッシュに失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * リフレッシュの寄与を自分のシェアに適用（各保有者が実行）
+ * 全保有者が、全参加者（自分を含む）から自分宛ての寄与を集めて適用する必要がある。
+ * 適用した組が異なると新しい分割IDが一致しないため、combineSharesで別の分割のシェアとして検出される
+ * @param {Object|string} share - 自分のシェア（拡張形式）
+ * @param {Array<Object>} refreshes - 全参加者のcreateShareRefreshの結果のうち、自分のx座標宛てのもの
+ * @returns {Object} 新しいシェア（id, value, encoding）
+ */
+export const applyShareRefresh = (share, refreshes) => {
+  try {
+    const parsed = parseExtendedShare(share);
+    
+    if (!Array.isArray(refreshes) || refreshes.length === 0) {
+      throw new Error('リフレッシュの寄与が必要です');
+    }
+    if (new Set(refreshes.map(refresh => refresh.from)).size !== refreshes.length) {
+      throw new Error('同じ保有者からの寄与が重複しています');
+    }
+    
+    const y = parsed.y.slice();
+    refreshes.forEach(refresh => {
+      if (refresh.type !== 'share-refresh' || refresh.version !== 1) {
+        throw new Error('未対応のリフレッシュ形式です');
+      }
+      if (refresh.splitId !== parsed.splitId) {
+        throw new Error(`保有者${refresh.from}の寄与は別の分割のものです`);
       }
       
-      console.log(`  基底多項式 L_${i}(0) = ${basis}`);
+      if (refresh.to !== parsed.x) {
+        throw new Error(`保有者${refresh.from}の寄与はこのシェア宛てではありません（宛先: ${refresh.to}）`);
+      }
       
-      // yi * Li(0)
-      const term = GF256.mul(yi, basis);
-      console.log(`  項の寄与: ${yi} * ${basis} = ${term}`);
+      const values = bytesToFieldElements(hexToBytes(refresh.value), parsed.bits);
+      if (values.length !== y.length) {
+        throw new Error(`保有者${refresh.from}の差分の長さが一致しません`);
+      }
       
-      // 累積結果に加算
-      result = GF256.add(result, term);
-      console.log(`  現在の結果: ${result}`);
+      // GF(2^n)の加算
+      values.forEach((v, i) => {
+        y[i] = parsed.field.add(y[i], v);
+      });
+    });
+    
+    // 全参加者で同じになるよう、送信元の順に依存しない分割IDを作成
+    const splitId = combineSplitIdParts(refreshes.map(refresh => refresh.splitIdPart));
+    
+    return {
+      id: `share-${uuidv4()}`,
+      value: encodeShareValue({
+        threshold: parsed.threshold,
+        splitId,
+        x: parsed.x,
+        y: fieldElementsToBytes(y, parsed.bits),
+        encoding: parsed.encoding,
+        fieldId: parsed.field === GF256 ? SHARE_FIELD_GF256 : SHARE_FIELD_LOG_TABLE,
+        bits: parsed.bits
+      }),
+      encoding: parsed.encoding
+    };
+  } catch (error) {
+    console.error('シェアのリフレッシュに失敗しました:', error);
+    throw new Error('シェアのリフレッシュに失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * x = at におけるラグランジュ基底多項式の値を計算
+ * @param {Array<number>} xs - 点のx座標
+ * @param {number} index - 対象の点のインデックス
+ * @param {number} at - 評価するx値
+ * @param {Object} field - 使用する有限体
+ * @returns {number} L_index(at)
+ */
+const lagrangeCoefficient = (xs, index, at, field) => {
+  let basis = 1;
+  xs.forEach((xj, j) => {
+    if (j === index) return;
+    basis = field.mul(basis, field.div(field.sub(at, xj), field.sub(xs[index], xj)));
+  });
+  return basis;
+};
+
+/**
+ * クォーラム（再分散に参加する保有者）を検証し、自分の位置を返す
+ * @param {Object} parsed - 解析された自分のシェア
+ * @param {Array<number>} quorumXs - クォーラムのx座標
+ * @returns {number} クォーラム内の自分のインデックス
+ */
+const validateQuorum = (parsed, quorumXs) => {
+  validateShareXs(quorumXs, parsed.bits);
+  if (quorumXs.length < parsed.threshold) {
+    throw new Error(`クォーラムが不足しています: ${parsed.threshold}人必要ですが、${quorumXs.length}人です`);
+  }
+  const index = quorumXs.indexOf(parsed.x);
+  if (index === -1) {
+    throw new Error('自分のシェアがクォーラムに含まれていません');
+  }
+  return index;
+};
+
+/**
+ * 再分散の寄与を作成（既存のクォーラムの各保有者が実行）
+ * しきい値以上の既存保有者が、自分のシェアにラグランジュ係数を掛けた値を定数項とする
+ * 新しい多項式（次数 newThreshold - 1）を作成し、新しい保有者のx座標での値を配る。
+ * 新しい保有者はcombineReshareContributionsで受け取った値を合計して新しいシェアを得る。
+ * 誰も秘密を知ることなく、しきい値や保有者の組を変更できる。
+ * 戻り値は新しい保有者のx座標をキーとし、各メッセージは宛先の保有者だけに渡すこと
+ * @param {Object|string} share - 自分のシェア（拡張形式）
+ * @param {Array<number>} quorumXs - 再分散に参加する既存保有者のx座標
+ * @param {Array<number>} newXs - 新しい保有者のx座標
+ * @param {number} newThreshold - 新しいしきい値
+ * @returns {Object} 宛先のx座標をキーとする再分散の寄与（シリアライズ可能）
+ */
+export const createReshareContribution = (share, quorumXs, newXs, newThreshold) => {
+  try {
+    const parsed = parseExtendedShare(share);
+    const index = validateQuorum(parsed, quorumXs);
+    validateShareXs(newXs, parsed.bits);
+    
+    if (!Number.isInteger(newThreshold) || newThreshold < 2) {
+      throw new Error('しきい値は2以上である必要があります');
+    }
+    if (newXs.length < newThreshold) {
+      throw new Error('新しい保有者の数はしきい値以上である必要があります');
     }
     
-    console.log(`最終結果: ${result}`);
-    return result;
-  };
-  
+    // 定数項 = L_i(0) * s_i（クォーラム全体で合計すると秘密になる）
+    const lambda = lagrangeCoefficient(quorumXs, index, 0, parsed.field);
+    const constants = parsed.y.map(v => parsed.field.mul(lambda, v));
+    const polynomials = randomPolynomials(constants, newThreshold, parsed.bits);
+    const splitIdPart = bytesToHex(window.crypto.getRandomValues(new Uint8Array(4)));
+    
+    const messages = {};
+    newXs.forEach(x => {
+      messages[x] = {
+        version: 1,
+        type: 'reshare',
+        splitId: parsed.splitId,
+        from: parsed.x,
+        to: x,
+        quorum: quorumXs.slice(),
+        threshold: newThreshold,
+        bits: parsed.bits,
+        fieldId: parsed.field === GF256 ? SHARE_FIELD_GF256 : SHARE_FIELD_LOG_TABLE,
+        encoding: parsed.encoding,
+        splitIdPart,
+        value: bytesToHex(fieldElementsToBytes(
+          polynomials.map(coeffs => evaluatePolynomial(coeffs, x, parsed.field)),
+          parsed.bits
+        ))
+      };
+    });
+    return messages;
+  } catch (error) {
+    console.error('シェアの再分散に失敗しました:', error);
+    throw new Error('シェアの再分散に失敗しました: ' + error.message);
+  }
+};
 
 /**
- * バイト配列を16進数文字列に変換
- * @param {Uint8Array} bytes - バイト配列
- * @returns {string} 16進数文字列
+ * 再分散の寄与を合計して新しいシェアを作成（新しい保有者が実行）
+ * @param {number} x - 自分の新しいx座標
+ * @param {Array<Object>} contributions - クォーラム全員のcreateReshareContributionの結果のうち、自分のx座標宛てのもの
+ * @returns {Object} 新しいシェア（id, value, encoding）
  */
-const bytesToHex = (bytes) => {
-    return Array.from(bytes)
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
-  };
+export const combineReshareContributions = (x, contributions) => {
+  try {
+    if (!Array.isArray(contributions) || contributions.length === 0) {
+      throw new Error('再分散の寄与が必要です');
+    }
+    
+    const [first] = contributions;
+    contributions.forEach(contribution => {
+      if (contribution.type !== 'reshare' || contribution.version !== 1) {
+        throw new Error('未対応の再分散形式です');
+      }
+      if (contribution.splitId !== first.splitId ||
+          contribution.threshold !== first.threshold ||
+          contribution.bits !== first.bits ||
+          contribution.fieldId !== first.fieldId ||
+          contribution.quorum.join(',') !== first.quorum.join(',')) {
+        throw new Error(`保有者${contribution.from}の寄与は他の寄与と条件が一致しません`);
+      }
+    });
+    
+    // クォーラムの全員から寄与が揃っているか確認
+    const missing = first.quorum.filter(qx => !contributions.some(c => c.from === qx));
+    if (missing.length > 0 || contributions.length !== first.quorum.length) {
+      throw new Error(`クォーラムの寄与が揃っていません（不足: ${missing.join(', ') || 'なし'}）`);
+    }
+    
+    const field = first.fieldId === SHARE_FIELD_GF256 ? GF256 : getGaloisField(first.bits);
+    let y = null;
+    contributions.forEach(contribution => {
+      if (contribution.to !== x) {
+        throw new Error(`保有者${contribution.from}の寄与はx=${x}宛てではありません（宛先: ${contribution.to}）`);
+      }
+      const values = bytesToFieldElements(hexToBytes(contribution.value), first.bits);
+      if (y === null) {
+        y = values;
+      } else if (values.length !== y.length) {
+        throw new Error(`保有者${contribution.from}の値の長さが一致しません`);
+      } else {
+        y = y.map((v, i) => field.add(v, values[i]));
+      }
+    });
+    
+    return {
+      id: `share-${uuidv4()}`,
+      value: encodeShareValue({
+        threshold: first.threshold,
+        splitId: combineSplitIdParts(contributions.map(c => c.splitIdPart)),
+        x,
+        y: fieldElementsToBytes(y, first.bits),
+        encoding: first.encoding,
+        fieldId: first.fieldId,
+        bits: first.bits
+      }),
+      encoding: first.encoding
+    };
+  } catch (error) {
+    console.error('シェアの再分散に失敗しました:', error);
+    throw new Error('シェアの再分散に失敗しました: ' + error.message);
+  }
+};
 
+/**
+ * 新しいx座標のシェア発行用のマスクを作成（第1段階、クォーラムの各保有者が実行）
+ * クォーラムの他の各メンバー宛てにランダムなマスクを作成する。
+ * 戻り値は宛先のx座標をキーとし、各マスクは宛先のメンバーだけに渡すこと。
+ * 戻り値全体は第2段階で自分が使うため、手元に残しておく
+ * @param {Object|string} share - 自分のシェア（拡張形式）
+ * @param {Array<number>} quorumXs - 発行に参加する既存保有者のx座標
+ * @returns {Object} 宛先のx座標をキーとするマスク（シリアライズ可能）
+ */
+export const createEnrollmentMasks = (share, quorumXs) => {
+  try {
+    const parsed = parseExtendedShare(share);
+    validateQuorum(parsed, quorumXs);
+    
+    const length = parsed.y.length * (parsed.bits / 8);
+    const masks = {};
+    quorumXs.filter(x => x !== parsed.x).forEach(to => {
+      masks[to] = {
+        version: 1,
+        type: 'enrollment-mask',
+        splitId: parsed.splitId,
+        from: parsed.x,
+        to,
+        value: bytesToHex(window.crypto.getRandomValues(new Uint8Array(length)))
+      };
+    });
+    return masks;
+  } catch (error) {
+    console.error('シェア発行のマスク作成に失敗しました:', error);
+    throw new Error('シェア発行のマスク作成に失敗しました: ' + error.message);
+  }
+};
 
 /**
- * シャミア秘密分散法で秘密を複数のシェアに分割（修正版）
- * @param {string} secret - 分割する秘密情報
- * @param {number} totalShares - 総シェア数
- * @param {number} threshold - 必要なシェア数
- * @returns {Array} シェアの配列
+ * 新しいx座標のシェア発行用の寄与を作成（第2段階、クォーラムの各保有者が実行）
+ * L_i(newX) * s_i に、受け取ったマスクと自分が送ったマスクを加算する。
+ * マスクはクォーラム全体で打ち消し合うため、寄与の合計は f(newX) になるが、
+ * 新しい保有者は個々のシェアを知ることができない
+ * @param {Object|string} share - 自分のシェア（拡張形式）
+ * @param {Array<number>} quorumXs - 発行に参加する既存保有者のx座標
+ * @param {number} newX - 発行するシェアのx座標
+ * @param {Object} sentMasks - 自分が作成したマスク（自分のcreateEnrollmentMasksの結果）
+ * @param {Array<Object>} receivedMasks - 他のメンバーから受け取った、自分宛てのマスク
+ * @returns {Object} 発行の寄与（新しい保有者に渡す）
  */
-export const createShares = (secret, totalShares, threshold) => {
+export const createEnrollmentContribution = (share, quorumXs, newX, sentMasks, receivedMasks) => {
   try {
-    // 入力検証
-    if (threshold < 2) {
-      throw new Error('しきい値は2以上である必要があります');
-    }
-    if (totalShares < threshold) {
-      throw new Error('総シェア数はしきい値以上である必要があります');
+    const parsed = parseExtendedShare(share);
+    const index = validateQuorum(parsed, quorumXs);
+    validateShareXs([newX], parsed.bits);
+    if (quorumXs.includes(newX)) {
+      throw new Error('新しいx座標はクォーラムのx座標と異なる必要があります');
     }
     
-    // 秘密情報をバイト配列に変換
-    const secretBytes = new TextEncoder().encode(secret);
-    console.log('秘密のバイト配列:', Array.from(secretBytes));
-    
-    // エンコーディング情報の保存（復元時に必要）
-    const encoding = 'utf-8';
-    
-    // シェアのリスト
-    const shares = [];
+    const lambda = lagrangeCoefficient(quorumXs, index, newX, parsed.field);
+    let y = parsed.y.map(v => parsed.field.mul(lambda, v));
     
-    // バイトごとに処理
-    for (let byteIndex = 0; byteIndex < secretBytes.length; byteIndex++) {
-      // 各バイトに対して多項式を作成
-      const coeffs = new Uint8Array(threshold);
-      
-      // a_0はシークレットのバイト値
-      coeffs[0] = secretBytes[byteIndex];
-      
-      // a_1からa_{t-1}は乱数
-      window.crypto.getRandomValues(coeffs.subarray(1));
-      
-      console.log(`バイトインデックス ${byteIndex}, 元の値: ${secretBytes[byteIndex]}, 係数:`, Array.from(coeffs));
-      
-      // 各参加者にシェアを生成
-      for (let x = 1; x <= totalShares; x++) {
-        // インデックスは1から始まる
-        const y = evaluatePolynomial(coeffs, x);
-        console.log(`参加者 ${x}, バイト ${byteIndex}, 多項式結果: ${y}`);
-        
-        if (shares[x - 1] === undefined) {
-          shares[x - 1] = {
-            x,
-            y: [y]  // 通常の配列として保持
-          };
-        } else {
-          shares[x - 1].y.push(y);
-        }
+    // 自分が送ったマスクと自分宛てのマスクを全て加算（GF(2^n)では加算と減算は同じ）
+    const applyMask = (value, label) => {
+      const values = bytesToFieldElements(hexToBytes(value), parsed.bits);
+      if (values.length !== y.length) {
+        throw new Error(`${label}のマスクの長さが一致しません`);
       }
-    }
+      y = y.map((v, i) => parsed.field.add(v, values[i]));
+    };
     
-    // シェアをエンコード - 復元側と互換性のある形式に
-    const encodedShares = shares.map(share => {
-      // xは16進数で2桁にエンコード
-      const xHex = share.x.toString(16).padStart(2, '0');
-      
-      // yはUint8Arrayに変換してから16進数にエンコード
-      const yHex = bytesToHex(new Uint8Array(share.y));
-      console.log(`シェアID: share-${share.x}, X: ${xHex}, Y(Hex): ${yHex}`);
-      
-      // プレフィックス(80)を追加 - オリジナルライブラリとの互換性のため
-      return {
-        id: `share-${uuidv4()}`,
-        value: `80${xHex}${yHex}`,
-        encoding // エンコーディング情報を追加
-      };
+    quorumXs.filter(x => x !== parsed.x).forEach(other => {
+      const sent = sentMasks && sentMasks[other];
+      const incoming = (receivedMasks || []).find(m => m.from === other);
+      if (!sent || sent.from !== parsed.x || !incoming) {
+        throw new Error(`保有者${other}とのマスクが揃っていません`);
+      }
+      if (incoming.to !== parsed.x) {
+        throw new Error(`保有者${other}から受け取ったマスクは自分宛てではありません（宛先: ${incoming.to}）`);
+      }
+      if (incoming.splitId !== parsed.splitId || sent.splitId !== parsed.splitId) {
+        throw new Error(`保有者${other}のマスクは別の分割のものです`);
+      }
+      applyMask(sent.value, `保有者${other}宛て`);
+      applyMask(incoming.value, `保有者${other}から`);
     });
     
-    return encodedShares;
+    return {
+      version: 1,
+      type: 'enrollment',
+      splitId: parsed.splitId,
+      from: parsed.x,
+      quorum: quorumXs.slice(),
+      x: newX,
+      threshold: parsed.threshold,
+      bits: parsed.bits,
+      fieldId: parsed.field === GF256 ? SHARE_FIELD_GF256 : SHARE_FIELD_LOG_TABLE,
+      encoding: parsed.encoding,
+      value: bytesToHex(fieldElementsToBytes(y, parsed.bits))
+    };
   } catch (error) {
-    console.error('シェア作成に失敗しました:', error);
-    throw new Error('シェア作成に失敗しました: ' + error.message);
+    console.error('シェア発行の寄与作成に失敗しました:', error);
+    throw new Error('シェア発行の寄与作成に失敗しました: ' + error.message);
   }
 };
-  
 
 /**
- * シェアを結合して秘密を復元（修正版）
- * @param {Array} shares - シェアの配列
- * @returns {string} 復元された秘密情報
+ * 発行の寄与を合計して新しいx座標のシェアを作成（新しい保有者が実行）
+ * 発行されたシェアは既存のシェアと同じ分割に属し、既存のシェアと組み合わせて使える
+ * @param {Array<Object>} contributions - クォーラム全員のcreateEnrollmentContributionの結果
+ * @returns {Object} 新しいシェア（id, value, encoding）
  */
-export const combineShares = (shares) => {
+export const combineEnrollmentContributions = (contributions) => {
   try {
-    // シェアの値だけを抽出
-    const shareValues = shares.map(share => share.value || share);
-    console.log('シェア値:', shareValues);
+    if (!Array.isArray(contributions) || contributions.length === 0) {
+      throw new Error('発行の寄与が必要です');
+    }
     
-    // エンコーディング情報を取得（最初のシェアから）
-    const encoding = shares[0].encoding || 'utf-8';
-    console.log('使用するエンコーディング:', encoding);
-    
-    // シェアをデコード
-    const decodedShares = shareValues.map(shareValue => {
-      // 形式チェック
-      if (!shareValue.startsWith('80')) {
-        throw new Error('不正なシェア形式です');
+    const [first] = contributions;
+    contributions.forEach(contribution => {
+      if (contribution.type !== 'enrollment' || contribution.version !== 1) {
+        throw new Error('未対応の発行形式です');
+      }
+      if (contribution.splitId !== first.splitId ||
+          contribution.x !== first.x ||
+          contribution.bits !== first.bits ||
+          contribution.quorum.join(',') !== first.quorum.join(',')) {
+        throw new Error(`保有者${contribution.from}の寄与は他の寄与と条件が一致しません`);
       }
-      
-      // xとyを抽出
-      const x = parseInt(shareValue.substring(2, 4), 16);
-      const yHex = shareValue.substring(4);
-      const yBytes = hexToBytes(yHex);
-      
-      return {
-        x,
-        y: Array.from(yBytes) // 一貫性のためにArray.fromを使用
-      };
     });
     
-    console.log('デコードされたシェア:', JSON.stringify(decodedShares));
-    
-    // シェアの有効性チェック
-    if (decodedShares.length === 0) {
-      throw new Error('有効なシェアがありません');
-    }
-    
-    // 全シェアのyの長さが同じか確認
-    const yLengths = decodedShares.map(share => share.y.length);
-    const allSameLength = yLengths.every(length => length === yLengths[0]);
-    if (!allSameLength) {
-      throw new Error('シェアのバイト長が一致しません');
+    const missing = first.quorum.filter(qx => !contributions.some(c => c.from === qx));
+    if (missing.length > 0 || contributions.length !== first.quorum.length) {
+      throw new Error(`クォーラムの寄与が揃っていません（不足: ${missing.join(', ') || 'なし'}）`);
     }
     
-    // 秘密の長さは全てのシェアのy配列の長さと同じ
-    const secretLength = decodedShares[0].y.length;
-    
-    // 結果のバイト配列
-    const result = new Uint8Array(secretLength);
-    console.log('初期化された結果バイト配列:', result);
-    
-    // バイトごとに復元
-    for (let byteIndex = 0; byteIndex < secretLength; byteIndex++) {
-      // 各シェアから対応するバイトのポイントを収集
-      const points = decodedShares.map(share => [
-        share.x,
-        share.y[byteIndex]
-      ]);
-      
-      // ポイントをログ
-      console.log(`バイト ${byteIndex}, ポイント:`, JSON.stringify(points));
-      
-      // ラグランジュ補間法でf(0)を求める
-      result[byteIndex] = lagrangeInterpolation(points);
-      
-      // 結果をログ
-      console.log(`バイト ${byteIndex}, 補間結果: ${result[byteIndex]}`);
+    const field = first.fieldId === SHARE_FIELD_GF256 ? GF256 : getGaloisField(first.bits);
+    const values = contributions.map(c => bytesToFieldElements(hexToBytes(c.value), first.bits));
+    if (values.some(v => v.length !== values[0].length)) {
+      throw new Error('寄与の長さが一致しません');
     }
+    const y = values.reduce((sum, v) => sum.map((s, i) => field.add(s, v[i])));
     
-    // 復元されたバイト配列をログ出力
-    console.log('復元されたバイト配列:', Array.from(result).map(b => b.toString(16).padStart(2, '0')).join(' '));
-    
-    try {
-      // バイト配列を文字列に変換
-      const decoded = new TextDecoder(encoding).decode(result);
-      console.log('デコード結果:', decoded);
-      return decoded;
-    } catch (decodeError) {
-      console.error('TextDecoderでのデコードに失敗:', decodeError);
-      
-      // エラーとともに16進数表現も添えて再スロー
-      const hexString = Array.from(result).map(b => b.toString(16).padStart(2, '0')).join('');
-      throw new Error(`デコードに失敗しました: ${decodeError.message}。データ(16進数): ${hexString}`);
-    }
+    return {
+      id: `share-${uuidv4()}`,
+      value: encodeShareValue({
+        threshold: first.threshold,
+        splitId: first.splitId,
+        x: first.x,
+        y: fieldElementsToBytes(y, first.bits),
+        encoding: first.encoding,
+        fieldId: first.fieldId,
+        bits: first.bits
+      }),
+      encoding: first.encoding
+    };
   } catch (error) {
-    console.error('シェア結合に失敗しました:', error);
-    throw new Error('シェア結合に失敗しました: ' + error.message);
+    console.error('シェアの発行に失敗しました:', error);
+    throw new Error('シェアの発行に失敗しました: ' + error.message);
   }
 };
+
+// PBKDF2の既定パラメータ（保存データにも記録し、復号時はその値を使う）
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_HASH = 'SHA-256';
+
 /**
  * パスワードから暗号化キーを派生（PBKDF2）- バックアップ実装付き
  * @param {string} password - ユーザーパスワード
  * @param {Uint8Array} salt - ソルト（新規の場合は省略可）
- * @returns {Promise<Object>} 派生キーとソルト
+ * @param {Object} [options] - 鍵派生オプション
+ * @param {number} [options.iterations] - 反復回数（既定: 100000）
+ * @param {string} [options.hash] - ハッシュ関数（既定: SHA-256）
+ * @returns {Promise<Object>} 派生キー、鍵ID、ソルト、反復回数、ハッシュ関数
  */
-export const deriveKeyFromPassword = async (password, salt = null) => {
+export const deriveKeyFromPassword = async (password, salt = null, options = {}) => {
+  const { iterations = PBKDF2_ITERATIONS, hash = PBKDF2_HASH } = options;
+  
   try {
     // ソルトがない場合は新しく生成
     if (!salt) {
@@ -708,8 +3883,8 @@ export const deriveKeyFromPassword = async (password, salt = null) => {
           {
             name: 'PBKDF2',
             salt,
-            iterations: 100000, // 適切な反復回数
-            hash: 'SHA-256'
+            iterations,
+            hash
           },
           keyMaterial,
           { name: 'AES-GCM', length: 256 },
@@ -731,7 +3906,10 @@ export const deriveKeyFromPassword = async (password, salt = null) => {
         return {
           derivedKey,
           key: keyHex,
-          salt: saltHex
+          keyId: await getKeyFingerprint(keyHex),
+          salt: saltHex,
+          iterations,
+          hash
         };
       } catch (cryptoError) {
         console.warn('Web Crypto APIでの鍵派生に失敗しました - フォールバック実装を使用します:', cryptoError);
@@ -814,112 +3992,88 @@ const fallbackEncryptDecrypt = (data, key, iv) => {
 
 /**
  * 暗号化キーを安全にストレージに保存
- * @param {string} masterKey - マスター暗号化キー
+ * 暗号文はエンベロープ形式で保存し、PBKDF2のパラメータ（ソルト、反復回数、ハッシュ関数）も
+ * エンベロープに記録する。Web Crypto APIが利用できない場合は安全に暗号化できないため保存しない
+ * @param {string|Uint8Array} masterKey - マスター暗号化キー
  * @param {string} password - パスワード
  * @returns {Promise<boolean>} 成功した場合はtrue
  */
 export const storeEncryptionKeySecurely = async (masterKey, password) => {
     try {
       // パスワードからキーを派生
-      const { derivedKey, salt, key, iterations, hash } = await deriveKeyFromPassword(password);
+      const { derivedKey, salt, iterations, hash } = await deriveKeyFromPassword(password);
       
-      console.debug('生成されたソルト:', bytesToHex(salt));
-      // Web Crypto APIが利用可能かどうかで処理を分岐
-      let encryptedKeyHex;
-      let ivHex;
+      if (!derivedKey || !window.crypto.subtle) {
+        throw new Error('Web Crypto APIが利用できないため、暗号化キーを保存できません');
+      }
       
-      if (derivedKey && window.crypto.subtle) {
-        // 初期化ベクトル（IV）を生成
-        const iv = window.crypto.getRandomValues(new Uint8Array(12));
-        
-        // マスターキーをバッファに変換（文字列の場合）
-        let masterKeyBuffer;
-        if (typeof masterKey === 'string') {
-          masterKeyBuffer = new TextEncoder().encode(masterKey);
-        } else {
-          // すでにバイナリ形式の場合
-          masterKeyBuffer = masterKey;
-        }
-        
-        // Web Crypto APIでマスターキーを暗号化
-        const encryptedKeyBuffer = await window.crypto.subtle.encrypt(
-          {
-            name: 'AES-GCM',
-            iv
-          },
-          derivedKey,
-          masterKeyBuffer
-        );
-        
-        // バイナリデータを16進数に変換
-        encryptedKeyHex = Array.from(new Uint8Array(encryptedKeyBuffer))
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        ivHex = Array.from(iv)
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-      } else {
-      // フォールバック: 簡易暗号化（本番環境では使用しないでください）
-      console.warn('フォールバック暗号化を使用しています - 本番環境では推奨されません');
+      console.debug('生成されたソルト:', salt);
       
-        // 簡易IV生成
-        const iv = new Uint8Array(12);
-        window.crypto.getRandomValues(iv); // より安全なランダム値生成
-
-        // マスターキーをバッファに変換
-        const masterKeyBytes = new TextEncoder().encode(masterKey);
-        const keyBytes = hexToBytes(key);
-
-        // 統一されたフォールバック関数を使用
-        const encryptedBytes = fallbackEncryptDecrypt(masterKeyBytes, keyBytes, iv);
-
-        encryptedKeyHex = bytesToHex(encryptedBytes);
-        ivHex = bytesToHex(iv);
-    }
-    
-    // 暗号化データを保存形式に変換
-    const secureData = {
-        encryptedKey: encryptedKeyHex,
-        iv: ivHex,
-        salt: salt,
-        version: 2,
-        algorithm: derivedKey ? 'AES-GCM' : 'XOR-FALLBACK',
-        iterations: iterations,
-        hash: hash,
+      // 初期化ベクトル（IV）を生成
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      
+      // マスターキーをバッファに変換（文字列の場合）
+      const isText = typeof masterKey === 'string';
+      const masterKeyBuffer = isText ? new TextEncoder().encode(masterKey) : masterKey;
+      
+      // Web Crypto APIでマスターキーを暗号化
+      const encryptedKeyBuffer = await window.crypto.subtle.encrypt(
+        {
+          name: 'AES-GCM',
+          iv
+        },
+        derivedKey,
+        masterKeyBuffer
+      );
+      
+      // 暗号化データを保存形式に変換（暗号文は他の暗号化関数と同じエンベロープ形式）
+      const secureData = {
+        envelope: createEnvelope({
+          algorithm: 'AES-GCM',
+          ciphertext: bytesToHex(new Uint8Array(encryptedKeyBuffer)),
+          nonce: bytesToHex(iv),
+          contentType: isText ? 'text' : 'uint8array',
+          kdf: {
+            name: 'PBKDF2',
+            salt,
+            iterations,
+            hash
+          }
+        }),
+        version: 3,
         createdAt: new Date().toISOString(),
         keyEncoding: 'utf8',
-        keyFormat: typeof masterKey === 'string' ? 'string' : 'binary'
+        keyFormat: isText ? 'string' : 'binary'
       };
-    
+      
       console.debug('保存するセキュアデータ:', secureData);
-
-        return await saveToSecureStorage('masterKey', secureData);
-        } catch (error) {
-        console.error('暗号化キーの保存に失敗しました:', error);
-        throw new Error('暗号化キーの保存に失敗しました');
-        }
-    };
+      
+      return await saveToSecureStorage('masterKey', secureData);
+    } catch (error) {
+      console.error('暗号化キーの保存に失敗しました:', error);
+      throw new Error('暗号化キーの保存に失敗しました: ' + error.message);
+    }
+  };
 
 /**
  * 16進数文字列をバイト配列に変換
- * @param {string} hex - 16進数文字列
+ * 奇数長や16進数以外の文字を含む入力は、破損したデータを黙って空配列にしないよう例外にする
+ * @param {string} hex - 16進数文字列（空文字列は空のバイト配列）
  * @returns {Uint8Array} バイト配列
  */
 export const hexToBytes = (hex) => {
-    if (!hex || typeof hex !== 'string' || hex.length % 2 !== 0) {
-      console.error('Invalid hex string:', hex);
-      return new Uint8Array(0);
+    if (typeof hex !== 'string') {
+      throw new Error(`16進数の文字列ではありません: ${typeof hex}`);
+    }
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new Error('16進数の文字列が不正です（奇数長、または16進数以外の文字を含みます）');
     }
     
-    try {
-      return new Uint8Array(
-        hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-      );
-    } catch (e) {
-      console.error('Error converting hex to bytes:', e);
-      return new Uint8Array(0);
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
     }
+    return bytes;
   };
 
 /**
@@ -1083,7 +4237,7 @@ const getFromIndexedDB = (key) => {
 /**
  * 暗号化されたマスターキーを取得して復号
  * @param {string} password - パスワード
- * @returns {Promise<string>} 復号されたマスターキー
+ * @returns {Promise<string|Uint8Array>} 復号されたマスターキー（バイナリで保存した場合はUint8Array）
  */
 export const retrieveEncryptionKeySecurely = async (password) => {
     try {
@@ -1096,34 +4250,46 @@ export const retrieveEncryptionKeySecurely = async (password) => {
       
       console.log('取得したセキュアデータ:', secureData);
       
-      // secureData.saltが存在するか確認
-      if (!secureData.salt) {
+      // バージョン3以降はエンベロープ形式（鍵派生パラメータもエンベロープ内）、
+      // それ以前は暗号文・IV・ソルトを直接保存している
+      const envelope = secureData.envelope
+        ? parseEnvelope(secureData.envelope)
+        : {
+          algorithm: secureData.algorithm || 'AES-GCM',
+          ciphertext: secureData.encryptedKey,
+          nonce: secureData.iv,
+          kdf: { salt: secureData.salt, iterations: secureData.iterations, hash: secureData.hash }
+        };
+      const kdf = envelope.kdf || {};
+      
+      // ソルトが存在するか確認
+      if (!kdf.salt) {
         throw new Error('暗号化キーのソルトデータが見つかりません');
       }
       
       // 16進数からバイナリデータに変換
-      const encryptedKeyBytes = hexToBytes(secureData.encryptedKey);
-      const ivBytes = hexToBytes(secureData.iv);
-      const saltBytes = hexToBytes(secureData.salt);
+      const encryptedKeyBytes = hexToBytes(envelope.ciphertext);
+      const ivBytes = hexToBytes(envelope.nonce);
+      const saltBytes = hexToBytes(kdf.salt);
       
       // デバッグ情報を追加
-      console.debug('暗号化キー(Hex):', secureData.encryptedKey);
-      console.debug('IV(Hex):', secureData.iv);
-      console.debug('ソルト(Hex):', secureData.salt);
+      console.debug('暗号化キー(Hex):', envelope.ciphertext);
+      console.debug('IV(Hex):', envelope.nonce);
+      console.debug('ソルト(Hex):', kdf.salt);
       console.debug('変換後のソルト長:', saltBytes.length);
       
       // アルゴリズムとエンコーディングを確認
     // メタデータを確認
-        const algorithm = secureData.algorithm || 'AES-GCM';
+        const algorithm = envelope.algorithm;
         const keyEncoding = secureData.keyEncoding || 'utf8';
-        const iterations = secureData.iterations || 100000;
-        const hash = secureData.hash || 'SHA-256';
+        const iterations = kdf.iterations || PBKDF2_ITERATIONS;
+        const hash = kdf.hash || PBKDF2_HASH;
       
       // Web Crypto APIが利用可能であれば使用
       if (algorithm === 'AES-GCM' && window.crypto && window.crypto.subtle) {
         try {
-          // パスワードからキーを派生
-          const { derivedKey } = await deriveKeyFromPassword(password, saltBytes);
+          // 保存時と同じパラメータでパスワードからキーを派生
+          const { derivedKey } = await deriveKeyFromPassword(password, saltBytes, { iterations, hash });
           
           // マスターキーを復号化
           const decryptedBuffer = await window.crypto.subtle.decrypt(
@@ -1135,7 +4301,10 @@ export const retrieveEncryptionKeySecurely = async (password) => {
             encryptedKeyBytes
           );
           
-          // バッファを文字列に変換 (エンコーディングを指定)
+          // バイナリで保存されたキーはそのまま、それ以外は文字列に変換 (エンコーディングを指定)
+          if (envelope.contentType === 'uint8array') {
+            return new Uint8Array(decryptedBuffer);
+          }
           return new TextDecoder(keyEncoding).decode(decryptedBuffer);
         } catch (cryptoError) {
           console.warn('Web Crypto APIでの復号に失敗しました:', cryptoError);
@@ -1146,20 +4315,11 @@ export const retrieveEncryptionKeySecurely = async (password) => {
         }
       }
       
-      // ここにfallbackEncryptDecrypt関数を追加
-      const fallbackEncryptDecrypt = (data, key, iv) => {
-        const result = new Uint8Array(data.length);
-        for (let i = 0; i < data.length; i++) {
-          result[i] = data[i] ^ key[i % key.length] ^ iv[i % iv.length];
-        }
-        return result;
-      };
-      
-      // フォールバック復号（失敗した場合）
+      // フォールバック復号（旧形式のXOR-FALLBACKで保存されたデータ、または失敗した場合）
       console.warn('フォールバック復号を使用しています');
       
       // パスワードからキーを派生
-      const { key } = await deriveKeyFromPassword(password, saltBytes);
+      const { key } = await deriveKeyFromPassword(password, saltBytes, { iterations, hash });
       const keyBytes = hexToBytes(key);
       
       console.debug('派生キー(Hex):', key);
@@ -1176,41 +4336,300 @@ export const retrieveEncryptionKeySecurely = async (password) => {
     }
 };
 
+// ガーディアン宛てに暗号化したシェアの形式バージョン
+const GUARDIAN_SHARE_VERSION = 1;
+
 /**
- * リカバリーデータを生成
- * @param {string} encryptionKey - マスター暗号化キー
+ * 公開鍵がraw形式のEC公開鍵か判定（それ以外はRSAのSPKIとして扱う）
+ * @param {string} publicKeyHex - 16進数形式の公開鍵
+ * @returns {boolean} EC公開鍵の場合はtrue
+ */
+const isECPublicKeyHex = (publicKeyHex) => {
+  try {
+    detectCurve(hexToBytes(publicKeyHex));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * シェアをガーディアンの公開鍵で暗号化
+ * RSA公開鍵（SPKI）はencryptWithPublicKey、EC公開鍵（raw形式）はencryptWithECPublicKeyで暗号化し、
+ * ガーディアンの公開鍵フィンガープリントとシェアのヘッダー情報を付けて返す
+ * @param {Object} share - シェア（createSharesの出力）
+ * @param {string} guardianPublicKey - ガーディアンの公開鍵（16進数）
+ * @returns {Promise<Object>} 暗号化されたシェア（version, type, guardian, x, splitId, threshold, encrypted）
+ */
+export const encryptShareForGuardian = async (share, guardianPublicKey) => {
+  try {
+    const parsed = parseShare(share);
+    const encrypted = isECPublicKeyHex(guardianPublicKey)
+      ? await encryptWithECPublicKey(share, guardianPublicKey)
+      : await encryptWithPublicKey(share, guardianPublicKey);
+    
+    return {
+      version: GUARDIAN_SHARE_VERSION,
+      type: 'guardian-share',
+      guardian: encrypted.keyId,
+      x: parsed.x,
+      splitId: parsed.splitId,
+      threshold: parsed.threshold,
+      encrypted
+    };
+  } catch (error) {
+    console.error('ガーディアン宛てのシェア暗号化に失敗しました:', error);
+    throw new Error('ガーディアン宛てのシェア暗号化に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * ガーディアン側で暗号化されたシェアを復号して検証
+ * 復号したシェアのチェックサムを検証し、x座標・分割ID・しきい値が
+ * 暗号化時に記録された値（および指定された期待値）と一致することを確認する
+ * @param {Object|string} guardianShare - encryptShareForGuardianの出力（オブジェクトまたはJSON文字列）
+ * @param {string} privateKeyHex - ガーディアンの秘密鍵（16進数、PKCS#8形式）
+ * @param {Object} [options] - オプション
+ * @param {string} [options.splitId] - 期待する分割ID
+ * @param {number} [options.threshold] - 期待するしきい値
+ * @returns {Promise<Object>} 復号されたシェア（id, value, encoding）
+ */
+export const decryptGuardianShare = async (guardianShare, privateKeyHex, options = {}) => {
+  try {
+    const record = typeof guardianShare === 'string' ? JSON.parse(guardianShare) : guardianShare;
+    if (!record || record.type !== 'guardian-share' || record.version !== GUARDIAN_SHARE_VERSION) {
+      throw new Error('未対応の暗号化シェア形式です');
+    }
+    
+    const share = record.encrypted.algorithm === 'ECDH-ES+AES-GCM'
+      ? await decryptWithECPrivateKey(record.encrypted, privateKeyHex)
+      : await decryptWithPrivateKey(record.encrypted, privateKeyHex);
+    if (!share || typeof share.value !== 'string') {
+      throw new Error('復号したデータはシェアではありません');
+    }
+    
+    // チェックサムを検証し、記録された情報と照合
+    const parsed = parseShare(share);
+    if (parsed.x !== record.x || parsed.splitId !== record.splitId || parsed.threshold !== record.threshold) {
+      throw new Error('復号したシェアが暗号化時の記録と一致しません');
+    }
+    if (options.splitId !== undefined && parsed.splitId !== options.splitId) {
+      throw new Error(`別の分割のシェアです（分割ID: ${parsed.splitId}、期待値: ${options.splitId}）`);
+    }
+    if (options.threshold !== undefined && parsed.threshold !== options.threshold) {
+      throw new Error(`しきい値が一致しません（シェア: ${parsed.threshold}、期待値: ${options.threshold}）`);
+    }
+    
+    return share;
+  } catch (error) {
+    console.error('ガーディアンのシェア復号に失敗しました:', error);
+    throw new Error('ガーディアンのシェア復号に失敗しました: ' + error.message);
+  }
+};
+
+// 秘密のコミットメントの形式バージョン
+const SECRET_COMMITMENT_VERSION = 1;
+const SECRET_COMMITMENT_SALT_SIZE = 16;
+
+/**
+ * コミットメントのハッシュを計算（SHA-256(ソルト || 分割ID || 秘密)）
+ * generateRecoveryDataを同期関数のまま使えるよう、Web Crypto APIではなく同期のSHA-256で計算する
+ * @param {Uint8Array} secretBytes - 秘密のバイト配列
+ * @param {Uint8Array} salt - ソルト
+ * @param {string|null} splitId - 分割ID（16進数）
+ * @returns {Uint8Array} ハッシュ
+ */
+const hashSecretCommitment = (secretBytes, salt, splitId) => {
+  const splitIdBytes = splitId ? hexToBytes(splitId) : new Uint8Array(0);
+  const input = new Uint8Array(salt.length + splitIdBytes.length + secretBytes.length);
+  input.set(salt, 0);
+  input.set(splitIdBytes, salt.length);
+  input.set(secretBytes, salt.length + splitIdBytes.length);
+  return hexToBytes(utils.sha256(input).substring(2));
+};
+
+/**
+ * 秘密のコミットメントを作成
+ * 復元した秘密が正しいかを後から確認するためのもので、秘密を隠蔽するものではない。
+ * ソルトはコミットメントと一緒に公開されるため、ソルトは事前計算表による攻撃を防ぐだけで、
+ * コミットメントを入手した者は候補の秘密を1回のSHA-256で照合できる。
+ * パスワードなどエントロピーの低い秘密はオフラインの総当たりで特定されるため、
+ * コミットメントを公開してよいのはランダムに生成した暗号化キーなど十分なエントロピーを持つ秘密に限る
+ * @param {string|Uint8Array|ArrayBuffer} secret - 秘密情報
+ * @param {string|null} splitId - シェアの分割ID（parseShareのsplitId）
+ * @returns {Object} コミットメント（version, algorithm, splitId, salt, hash）
+ */
+export const createSecretCommitment = (secret, splitId) => {
+  const { bytes } = secretToBytes(secret);
+  const salt = window.crypto.getRandomValues(new Uint8Array(SECRET_COMMITMENT_SALT_SIZE));
+  
+  return {
+    version: SECRET_COMMITMENT_VERSION,
+    algorithm: 'SHA-256',
+    splitId: splitId || null,
+    salt: bytesToHex(salt),
+    hash: bytesToHex(hashSecretCommitment(bytes, salt, splitId))
+  };
+};
+
+/**
+ * 公開リカバリーデータを解析
+ * @param {Uint8Array|string|Object} publicRecoveryData - generateRecoveryDataの出力（バイト配列、JSON文字列、オブジェクト）
+ * @returns {Object} 公開リカバリーデータ
+ */
+export const parsePublicRecoveryData = (publicRecoveryData) => {
+  if (publicRecoveryData instanceof Uint8Array) {
+    return JSON.parse(new TextDecoder().decode(publicRecoveryData));
+  }
+  if (typeof publicRecoveryData === 'string') {
+    return JSON.parse(publicRecoveryData);
+  }
+  if (publicRecoveryData && typeof publicRecoveryData === 'object') {
+    return publicRecoveryData;
+  }
+  throw new Error('公開リカバリーデータの形式が不正です');
+};
+
+/**
+ * 復元した秘密をコミットメントと照合
+ * @param {string|Uint8Array|ArrayBuffer} secret - 復元した秘密（combineSharesの結果）
+ * @param {Uint8Array|string|Object} commitmentOrPublicData - コミットメント、または公開リカバリーデータ
+ * @returns {Promise<boolean>} 一致する場合はtrue
+ */
+export const verifyRecoveredSecret = async (secret, commitmentOrPublicData) => {
+  try {
+    const data = parsePublicRecoveryData(commitmentOrPublicData);
+    const commitment = data.commitment || data;
+    if (commitment.version !== SECRET_COMMITMENT_VERSION || commitment.algorithm !== 'SHA-256') {
+      throw new Error('未対応のコミットメント形式です');
+    }
+    
+    const { bytes } = secretToBytes(secret);
+    const actual = hashSecretCommitment(bytes, hexToBytes(commitment.salt), commitment.splitId);
+    const expected = hexToBytes(commitment.hash);
+    
+    // 一致しないバイトの位置で処理時間が変わらないように全体を比較
+    let diff = actual.length ^ expected.length;
+    for (let i = 0; i < Math.min(actual.length, expected.length); i++) {
+      diff |= actual[i] ^ expected[i];
+    }
+    return diff === 0;
+  } catch (error) {
+    console.error('秘密の検証に失敗しました:', error);
+    throw new Error('秘密の検証に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * シェアと公開リカバリーデータ（オブジェクト）を作成
+ * @param {string|Uint8Array} encryptionKey - マスター暗号化キー
  * @param {number} totalGuardians - 総ガーディアン数
  * @param {number} requiredShares - リカバリーに必要なシェア数
- * @returns {Object} 生成されたリカバリーデータ
+ * @returns {Object} シェアと公開リカバリーデータ（shares, publicRecoveryData）
  */
-export const generateRecoveryData = (encryptionKey, totalGuardians, requiredShares) => {
+const buildRecoveryData = (encryptionKey, totalGuardians, requiredShares) => {
   // シェアを作成
   const shares = createShares(encryptionKey, totalGuardians, requiredShares);
   console.log('生成されたシェア数:', shares.length);
   console.log('生成されたシェアのサンプル:', shares[0]); // 最初のシェアの内容を表示
   
   // 公開リカバリーデータ
+  // 復元した秘密を確認できるよう、分割IDとソルト付きのコミットメントを含める
+  // （コミットメントは秘密を隠蔽しないため、encryptionKeyは十分なエントロピーを持つ鍵である必要がある）
+  const { splitId } = parseShare(shares[0]);
   const publicRecoveryData = {
     version: 2,
     createdAt: new Date().toISOString(),
     requiredShares,
     totalShares: totalGuardians,
     algorithm: 'shamir-secret-sharing',
-    library: 'custom-implementation'
+    library: 'custom-implementation',
+    splitId,
+    commitment: createSecretCommitment(encryptionKey, splitId)
   };
-  console.log('公開リカバリーデータ:', publicRecoveryData);
   
-  // バイト配列に変換
-  const publicDataBytes = new TextEncoder().encode(
-    JSON.stringify(publicRecoveryData)
-  );
+  return { shares, publicRecoveryData };
+};
+
+/**
+ * 公開リカバリーデータをバイト配列に変換
+ * @param {Object} publicRecoveryData - 公開リカバリーデータ
+ * @returns {Uint8Array} バイト配列（JSON）
+ */
+const encodePublicRecoveryData = (publicRecoveryData) => {
+  console.log('公開リカバリーデータ:', publicRecoveryData);
+  return new TextEncoder().encode(JSON.stringify(publicRecoveryData));
+};
+
+/**
+ * リカバリーデータを生成
+ * 公開リカバリーデータには秘密のコミットメントが含まれ、復元後にverifyRecoveredSecretで照合できる。
+ * シェアをガーディアンの公開鍵で暗号化する場合はgenerateGuardianRecoveryDataを使用する
+ * @param {string} encryptionKey - マスター暗号化キー
+ * @param {number} totalGuardians - 総ガーディアン数
+ * @param {number} requiredShares - リカバリーに必要なシェア数
+ * @returns {Object} 生成されたリカバリーデータ
+ */
+export const generateRecoveryData = (encryptionKey, totalGuardians, requiredShares) => {
+  const { shares, publicRecoveryData } = buildRecoveryData(encryptionKey, totalGuardians, requiredShares);
   
   return {
     shares,
-    publicRecoveryData: publicDataBytes
+    publicRecoveryData: encodePublicRecoveryData(publicRecoveryData)
   };
 };
 
+/**
+ * ガーディアンの公開鍵で暗号化したリカバリーデータを生成
+ * 各シェアを対応するガーディアンの公開鍵で暗号化して返す（平文のシェアは返さない）。
+ * ガーディアン側はdecryptGuardianShareで復号・検証する。
+ * 公開リカバリーデータには各ガーディアンの鍵のフィンガープリント（guardians）が記録される。
+ * options.guardianAddressesを指定すると、リカバリーセッションでガーディアンの署名
+ * （guardian-approvalsのShareRelease）を要求できるよう、Ethereumアドレスも記録する
+ * @param {string|Uint8Array} encryptionKey - マスター暗号化キー
+ * @param {Array<string>} guardianPublicKeys - ガーディアンの公開鍵（RSAのSPKIまたはraw形式のEC公開鍵、16進数）
+ * @param {number} requiredShares - リカバリーに必要なシェア数
+ * @param {Object} [options] - オプション
+ * @param {Array<string>} [options.guardianAddresses] - ガーディアンのEthereumアドレス（公開鍵と同じ順）
+ * @returns {Promise<Object>} 生成されたリカバリーデータ（guardianShares, publicRecoveryData）
+ */
+export const generateGuardianRecoveryData = async (encryptionKey, guardianPublicKeys, requiredShares, options = {}) => {
+  try {
+    if (!Array.isArray(guardianPublicKeys) || guardianPublicKeys.length === 0) {
+      throw new Error('ガーディアンの公開鍵が必要です');
+    }
+    const { guardianAddresses } = options;
+    if (guardianAddresses && guardianAddresses.length !== guardianPublicKeys.length) {
+      throw new Error(
+        `ガーディアンのアドレスの数（${guardianAddresses.length}）が公開鍵の数（${guardianPublicKeys.length}）と一致しません`
+      );
+    }
+    
+    const { shares, publicRecoveryData } = buildRecoveryData(
+      encryptionKey,
+      guardianPublicKeys.length,
+      requiredShares
+    );
+    
+    // ガーディアンごとに暗号化
+    const guardianShares = await Promise.all(
+      shares.map((share, i) => encryptShareForGuardian(share, guardianPublicKeys[i]))
+    );
+    publicRecoveryData.guardians = guardianShares.map(guardianShare => guardianShare.guardian);
+    if (guardianAddresses) {
+      publicRecoveryData.guardianAddresses = guardianAddresses.map(address => utils.getAddress(address));
+    }
+    
+    return {
+      guardianShares,
+      publicRecoveryData: encodePublicRecoveryData(publicRecoveryData)
+    };
+  } catch (error) {
+    console.error('ガーディアン向けリカバリーデータの生成に失敗しました:', error);
+    throw new Error('ガーディアン向けリカバリーデータの生成に失敗しました: ' + error.message);
+  }
+};
+
 // テスト関数
 function testSimple() {
     // 基本演算のテスト
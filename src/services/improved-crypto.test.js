@@ -0,0 +1,616 @@
+/**
+ * @jest-environment node
+ */
+import './test-setup';
+import secrets from 'secrets.js-grempe';
+import {
+  createShares,
+  combineShares,
+  parseShare,
+  createShareRefresh,
+  applyShareRefresh,
+  createReshareContribution,
+  combineReshareContributions,
+  createEnrollmentMasks,
+  createEnrollmentContribution,
+  combineEnrollmentContributions,
+  generateKeyPair,
+  generateECKeyPair,
+  generateRecoveryData,
+  generateGuardianRecoveryData,
+  decryptGuardianShare,
+  verifyRecoveredSecret,
+  generateEncryptionKey,
+  encryptWithKey,
+  decryptWithKey,
+  hexToBytes,
+  parseEnvelope,
+  storeEncryptionKeySecurely,
+  retrieveEncryptionKeySecurely,
+  encryptWithPublicKey,
+  decryptWithPrivateKey,
+  encryptForRecipients,
+  EC_CURVES,
+  isCurveSupported,
+  encryptWithECPublicKey,
+  decryptWithECPrivateKey,
+  SIGNATURE_ALGORITHMS,
+  generateSigningKeyPair,
+  sign,
+  verify,
+  attachSignature,
+  verifyAttachedSignature,
+  detectKeyFormat,
+  exportKeyAsPem,
+  exportKeyAsJwk,
+  importExternalKey,
+  derToPem,
+  pemToDer,
+  exportEncryptedPrivateKey,
+  importEncryptedPrivateKey,
+  getKeyFingerprint,
+  formatFingerprint,
+  createVerifiableShares,
+  verifyShare,
+  shareToMnemonic,
+  mnemonicToShare,
+  combineSharesRobust
+} from './improved-crypto';
+
+const toHex = (text) => Buffer.from(text, 'utf8').toString('hex');
+const fromHex = (hex) => Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex').toString('utf8');
+
+describe('追加認証データ（AAD）', () => {
+  test('同じAADでのみ復号でき、AADなしの復号は拒否される', async () => {
+    const key = await generateEncryptionKey();
+    const encrypted = await encryptWithKey({ balance: 100 }, key, 'record:42');
+
+    await expect(decryptWithKey(encrypted, key, 'record:42')).resolves.toEqual({ balance: 100 });
+    await expect(decryptWithKey(encrypted, key, 'record:43')).rejects.toThrow('復号化に失敗しました');
+    // エンベロープを別のレコードにそのままコピーしても、AADを指定しなければ復号できない
+    await expect(decryptWithKey(encrypted, key)).rejects.toThrow('additionalData');
+  });
+});
+
+describe('バイナリのペイロード', () => {
+  test('Uint8ArrayとArrayBufferはJSONを経由せずにそのまま復元される', async () => {
+    const key = await generateEncryptionKey();
+    const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+
+    const encrypted = await encryptWithKey(bytes, key);
+    expect(encrypted.contentType).toBe('uint8array');
+    expect(encrypted.ciphertext).toHaveLength((bytes.length + 16) * 2);
+    expect(Array.from(await decryptWithKey(encrypted, key))).toEqual(Array.from(bytes));
+
+    const buffer = await decryptWithKey(await encryptWithKey(bytes.buffer, key), key);
+    expect(buffer).toBeInstanceOf(ArrayBuffer);
+    expect(Array.from(new Uint8Array(buffer))).toEqual(Array.from(bytes));
+  });
+});
+
+describe('暗号文エンベロープ', () => {
+  test('16進数として不正な暗号文は黙って空にせず例外にする', () => {
+    expect(() => hexToBytes('abc')).toThrow('奇数長');
+    expect(() => hexToBytes('zz')).toThrow('16進数以外');
+    expect(Array.from(hexToBytes('00ff'))).toEqual([0, 255]);
+  });
+
+  test('マスターキーの保存形式もエンベロープを使用し、旧形式も読み込める', async () => {
+    await storeEncryptionKeySecurely('マスターキー', 'password');
+    const stored = window._secureBackupStorage.masterKey;
+
+    expect(parseEnvelope(stored.envelope)).toMatchObject({
+      algorithm: 'AES-GCM',
+      contentType: 'text',
+      kdf: { name: 'PBKDF2', iterations: 100000, hash: 'SHA-256' },
+      legacy: false
+    });
+    await expect(retrieveEncryptionKeySecurely('password')).resolves.toBe('マスターキー');
+
+    // バージョン2の保存形式（暗号文・IV・ソルトを直接保存）
+    const { envelope, ...rest } = stored;
+    window._secureBackupStorage.masterKey = {
+      ...rest,
+      version: 2,
+      algorithm: 'AES-GCM',
+      encryptedKey: envelope.ciphertext,
+      iv: envelope.nonce,
+      salt: envelope.kdf.salt
+    };
+    await expect(retrieveEncryptionKeySecurely('password')).resolves.toBe('マスターキー');
+  });
+
+  test('バイナリのマスターキーはuint8arrayとして記録し、バイト列のまま復元する', async () => {
+    const masterKey = new Uint8Array([0, 1, 254, 255]);
+    await storeEncryptionKeySecurely(masterKey, 'password');
+
+    expect(window._secureBackupStorage.masterKey.envelope.contentType).toBe('uint8array');
+    const restored = await retrieveEncryptionKeySecurely('password');
+    expect(Array.from(restored)).toEqual([0, 1, 254, 255]);
+  });
+
+  test('Web Crypto APIで鍵を派生できない場合はXORで保存せずに失敗する', async () => {
+    const spy = jest.spyOn(window.crypto.subtle, 'importKey').mockRejectedValueOnce(new Error('unavailable'));
+    try {
+      await expect(storeEncryptionKeySecurely('マスターキー', 'password')).rejects.toThrow('Web Crypto API');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('ハイブリッド公開鍵暗号化', () => {
+  test('RSA-OAEPの上限を超えるデータも暗号化でき、直接方式では上限を超えると失敗する', async () => {
+    const { publicKey, privateKey } = await generateKeyPair();
+    const large = 'x'.repeat(10000);
+
+    const encrypted = await encryptWithPublicKey(large, publicKey);
+    expect(encrypted.algorithm).toBe('RSA-OAEP+AES-GCM');
+    await expect(decryptWithPrivateKey(encrypted, privateKey)).resolves.toBe(large);
+
+    const direct = await encryptWithPublicKey('小さなデータ', publicKey, { mode: 'direct' });
+    expect(direct.algorithm).toBe('RSA-OAEP');
+    await expect(decryptWithPrivateKey(direct, privateKey)).resolves.toBe('小さなデータ');
+    await expect(encryptWithPublicKey(large, publicKey, { mode: 'direct' })).rejects.toThrow('公開鍵暗号化に失敗しました');
+  });
+});
+
+describe('複数受信者向けエンベロープ', () => {
+  test('各受信者が自分の秘密鍵で復号でき、受信者以外は復号できない', async () => {
+    const recipients = [await generateKeyPair(), await generateKeyPair()];
+    const outsider = await generateKeyPair();
+    const encrypted = await encryptForRecipients({ note: '共有データ' }, recipients.map(r => r.publicKey));
+
+    expect(encrypted.recipients.map(r => r.fingerprint)).toEqual(recipients.map(r => r.fingerprint));
+    for (const recipient of recipients) {
+      await expect(decryptWithPrivateKey(encrypted, recipient.privateKey)).resolves.toEqual({ note: '共有データ' });
+    }
+    await expect(decryptWithPrivateKey(encrypted, outsider.privateKey)).rejects.toThrow();
+  });
+});
+
+describe('EC公開鍵暗号化（ECIES）', () => {
+  test.each(EC_CURVES)('%sの鍵ペアで暗号化・復号でき、別の鍵では復号できない', async (curve) => {
+    if (!(await isCurveSupported(curve))) {
+      return;
+    }
+    const recipient = await generateECKeyPair(curve);
+    const other = await generateECKeyPair(curve);
+    const encrypted = await encryptWithECPublicKey(new Uint8Array([1, 2, 3]), recipient.publicKey);
+
+    expect(encrypted).toMatchObject({ algorithm: 'ECDH-ES+AES-GCM', curve, keyId: recipient.fingerprint });
+    expect(Array.from(await decryptWithECPrivateKey(encrypted, recipient.privateKey))).toEqual([1, 2, 3]);
+    await expect(decryptWithECPrivateKey(encrypted, other.privateKey)).rejects.toThrow('鍵が一致しません');
+  });
+});
+
+describe('デジタル署名', () => {
+  test.each(SIGNATURE_ALGORITHMS)('%sで署名を検証でき、改ざんされたデータや別の鍵では失敗する', async (algorithm) => {
+    const signer = await generateSigningKeyPair(algorithm);
+    const other = await generateSigningKeyPair(algorithm);
+    const signature = await sign({ amount: 100 }, signer.privateKey, algorithm);
+
+    await expect(verify({ amount: 100 }, signature, signer.publicKey)).resolves.toBe(true);
+    await expect(verify({ amount: 101 }, signature, signer.publicKey)).resolves.toBe(false);
+    await expect(verify({ amount: 100 }, signature, other.publicKey)).resolves.toBe(false);
+  });
+
+  test('添付署名はsignatureプロパティ以外の内容を保護する', async () => {
+    const signer = await generateSigningKeyPair();
+    const signed = await attachSignature({ version: 2, requiredShares: 3 }, signer.privateKey);
+
+    await expect(verifyAttachedSignature(signed, signer.publicKey)).resolves.toBe(true);
+    await expect(verifyAttachedSignature({ ...signed, requiredShares: 2 }, signer.publicKey)).resolves.toBe(false);
+  });
+});
+
+describe('PEM・JWKのインポートとエクスポート', () => {
+  test('PEMとJWKでエクスポートした鍵を元の16進数形式に戻せる', async () => {
+    const rsa = await generateKeyPair();
+    const pem = await exportKeyAsPem(rsa.publicKey, 'RSA-OAEP', 'public');
+    expect(detectKeyFormat(pem)).toBe('pem');
+    await expect(importExternalKey(pem, 'RSA-OAEP', 'public')).resolves.toBe(rsa.publicKey);
+
+    const signer = await generateSigningKeyPair('ECDSA-P256');
+    const jwk = await exportKeyAsJwk(signer.privateKey, 'ECDSA-P256', 'private');
+    expect(detectKeyFormat(JSON.stringify(jwk))).toBe('jwk');
+    const imported = await importExternalKey(jwk, 'ECDSA-P256', 'private');
+    const signature = await sign('データ', imported);
+    await expect(verify('データ', signature, signer.publicKey)).resolves.toBe(true);
+  });
+
+  test('PKCS#1形式のPEMと用途の異なる鍵は拒否する', async () => {
+    const rsa = await generateKeyPair();
+    const pkcs1 = derToPem(pemToDer(await exportKeyAsPem(rsa.publicKey, 'RSA-OAEP', 'public')).der, 'RSA PUBLIC KEY');
+
+    await expect(importExternalKey(pkcs1, 'RSA-OAEP', 'public')).rejects.toThrow('PKCS#1');
+    await expect(importExternalKey(await exportKeyAsPem(rsa.privateKey, 'RSA-OAEP', 'private'), 'RSA-OAEP', 'public'))
+      .rejects.toThrow('鍵のインポートに失敗しました');
+  });
+});
+
+describe('パスワード保護された秘密鍵', () => {
+  test('正しいパスワードでのみインポートでき、復号に使える', async () => {
+    const { publicKey, privateKey } = await generateKeyPair();
+    const exported = JSON.stringify(await exportEncryptedPrivateKey(privateKey, 'correct horse'));
+    const encrypted = await encryptWithPublicKey('秘密のメモ', publicKey);
+
+    const imported = await importEncryptedPrivateKey(exported, 'correct horse');
+    await expect(decryptWithPrivateKey(encrypted, imported)).resolves.toBe('秘密のメモ');
+    await expect(importEncryptedPrivateKey(exported, 'wrong horse')).rejects.toThrow('秘密鍵のインポートに失敗しました');
+    await expect(exportEncryptedPrivateKey(privateKey, '')).rejects.toThrow('パスワードが必要です');
+  });
+
+  test('インポート時は記録された反復回数とハッシュ関数で鍵を派生する', async () => {
+    const { privateKey } = await generateKeyPair();
+    const exported = await exportEncryptedPrivateKey(privateKey, 'correct horse');
+    expect(exported.kdf).toMatchObject({ name: 'PBKDF2', hash: 'SHA-256', iterations: 100000 });
+
+    // 反復回数が異なれば別の鍵になるため、パスワードの誤りとして失敗する
+    const fewerIterations = { ...exported, kdf: { ...exported.kdf, iterations: 1000 } };
+    await expect(importEncryptedPrivateKey(fewerIterations, 'correct horse')).rejects.toThrow('パスワードが正しくない');
+
+    const unsupportedHash = { ...exported, kdf: { ...exported.kdf, hash: 'MD5' } };
+    await expect(importEncryptedPrivateKey(unsupportedHash, 'correct horse')).rejects.toThrow('未対応の鍵派生パラメータです');
+  });
+});
+
+describe('鍵のフィンガープリントと鍵ID', () => {
+  test('暗号文に鍵IDが記録され、別の鍵では認証の前に鍵の不一致として失敗する', async () => {
+    const key = await generateEncryptionKey();
+    const otherKey = await generateEncryptionKey();
+    const encrypted = await encryptWithKey('データ', key);
+
+    expect(encrypted.keyId).toBe(await getKeyFingerprint(key));
+    expect(formatFingerprint(encrypted.keyId)).toMatch(/^[0-9A-F]{4}(:[0-9A-F]{4}){3}$/);
+    await expect(decryptWithKey(encrypted, otherKey)).rejects.toThrow(
+      `鍵が一致しません: 暗号化に使用された鍵は ${formatFingerprint(encrypted.keyId)}`
+    );
+  });
+
+  test('RSAの暗号文には受信者の公開鍵フィンガープリントが記録される', async () => {
+    const recipient = await generateKeyPair();
+    const other = await generateKeyPair();
+    const encrypted = await encryptWithPublicKey('データ', recipient.publicKey);
+
+    expect(encrypted.keyId).toBe(recipient.fingerprint);
+    await expect(decryptWithPrivateKey(encrypted, other.privateKey)).rejects.toThrow('鍵が一致しません');
+  });
+});
+
+describe('検証可能な秘密分散（Feldman VSS）', () => {
+  const { shares, commitments } = createVerifiableShares('マスターキー', 4, 2);
+  // yの末尾を書き換えた、形式としては正しいシェア
+  const tampered = {
+    ...shares[1],
+    value: shares[1].value.slice(0, -1) + (shares[1].value.slice(-1) === '0' ? '1' : '0')
+  };
+
+  test('各シェアをコミットメントで検証でき、改ざんされたシェアは検証に失敗する', () => {
+    expect(shares.every(share => verifyShare(share, commitments))).toBe(true);
+    expect(verifyShare(tampered, commitments)).toBe(false);
+  });
+
+  test('コミットメントで検証して復元し、一致しないシェアを含む場合は拒否する', () => {
+    expect(combineShares([shares[3], shares[0]], { commitments })).toBe('マスターキー');
+    expect(() => combineShares([shares[0], tampered], { commitments })).toThrow('2番目');
+    expect(() => combineShares([shares[0], shares[1]])).toThrow('コミットメントが必要です');
+  });
+});
+
+describe('シェアのヘッダーとチェックサム', () => {
+  const shares = createShares('秘密', 4, 3);
+  // 1文字だけ書き換えた（入力ミスを想定した）シェア
+  const typo = (share) => {
+    const index = 30;
+    const value = share.value;
+    return { ...share, value: value.slice(0, index) + (value[index] === '0' ? '1' : '0') + value.slice(index + 1) };
+  };
+
+  test('ヘッダーからしきい値・分割ID・x座標を読み取れる', () => {
+    const parsed = parseShare(shares[2]);
+
+    expect(parsed.format).toBe('extended');
+    expect(parsed.threshold).toBe(3);
+    expect(parsed.splitId).toMatch(/^[0-9a-f]{8}$/);
+    expect(parsed.splitId).toBe(parseShare(shares[0]).splitId);
+    expect(parsed.x).toBe(3);
+  });
+
+  test('1文字の入力ミスをチェックサムで検出し、何番目のシェアかを報告する', () => {
+    expect(() => parseShare(typo(shares[0]))).toThrow('チェックサムが一致しません');
+    expect(() => combineShares([shares[0], typo(shares[1]), shares[2]])).toThrow('2番目: チェックサムが一致しません');
+  });
+
+  test('別の分割のシェアや不足を結合前に報告する', () => {
+    const other = createShares('秘密', 4, 3);
+
+    expect(() => combineShares([shares[0], other[1], shares[2]])).toThrow('別の分割のシェアが含まれています: 2番目');
+    expect(() => combineShares([shares[0], shares[1]])).toThrow('あと1個必要です');
+    expect(() => combineShares([shares[0], shares[1], shares[0]])).toThrow('重複するシェアがあります');
+  });
+});
+
+describe('誤り訂正付きの復元', () => {
+  const secret = '誤り訂正のテスト';
+  const shares = createShares(secret, 6, 3);
+
+  // ヘッダーやyを書き換え、チェックサムを計算し直したシェア（不正な参加者を想定）
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    bytes.forEach(byte => {
+      crc ^= byte;
+      for (let i = 0; i < 8; i++) {
+        crc = (crc >>> 1) ^ (crc & 1 ? 0xedb88320 : 0);
+      }
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+  const forge = (share, modify) => {
+    const body = Buffer.from(share.value, 'hex').subarray(0, -4);
+    const forged = modify(Buffer.from(body));
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE(crc32(forged));
+    return { ...share, value: Buffer.concat([forged, checksum]).toString('hex') };
+  };
+  const withY = (bytes) => {
+    bytes[12] ^= 0xff;
+    return bytes;
+  };
+
+  test('チェックサムの正しい不正なシェアを特定して除外し、秘密を復元する', () => {
+    const forged = forge(shares[2], withY);
+    expect(parseShare(forged).x).toBe(3);
+
+    const { secret: recovered, invalidShares, validShares } =
+      combineSharesRobust([...shares.slice(0, 2), forged, ...shares.slice(3)]);
+
+    expect(recovered).toBe(secret);
+    expect(invalidShares).toEqual([{ index: 2, id: shares[2].id, reason: '他のシェアと一致しません' }]);
+    expect(validShares).toHaveLength(5);
+  });
+
+  test('x座標の重複やバイト長の異なるシェアがあっても復元を中断しない', () => {
+    const duplicate = forge(shares[0], withY);
+    const longer = forge(shares[1], bytes => Buffer.concat([bytes, Buffer.from([0])]));
+
+    const { secret: recovered, invalidShares } = combineSharesRobust([...shares, duplicate, longer]);
+
+    expect(recovered).toBe(secret);
+    expect(invalidShares.map(share => share.index)).toEqual([0, 6, 7]);
+    expect(invalidShares[0].reason).toContain('内容が一致しません');
+    expect(invalidShares[2].reason).toContain('バイト長');
+  });
+
+  test('しきい値はヘッダーの多数派または指定値を使い、1つのシェアのヘッダーに従わない', () => {
+    // 先頭のシェアのしきい値を2に書き換えても、残りの5つのシェアのしきい値（3）が使われる
+    const lowered = forge(shares[0], bytes => {
+      bytes.writeUInt16BE(2, 4);
+      return bytes;
+    });
+    const rest = shares.slice(1);
+
+    expect(combineSharesRobust([lowered, ...rest]).invalidShares[0].index).toBe(0);
+    expect(combineSharesRobust([lowered, ...rest.slice(0, 3)], { threshold: 3 }).invalidShares[0].reason)
+      .toContain('しきい値が指定値と一致しません');
+  });
+});
+
+describe('単語リスト形式のシェア', () => {
+  const key = new Uint8Array(32).map((_, i) => (i * 37) % 256);
+  const shares = createShares(key, 4, 2);
+  const mnemonics = shares.map(share => shareToMnemonic(share));
+
+  test('バイナリの秘密を単語リスト経由で復元でき、エンコーディングはヘッダーから引き継がれる', () => {
+    const restored = mnemonics.map(mnemonic => mnemonicToShare(mnemonic));
+
+    expect(restored[1].value).toBe(shares[1].value);
+    expect(restored[1].encoding).toBe('binary');
+    expect(Array.from(combineShares([restored[3], restored[1]]))).toEqual(Array.from(key));
+    // 単語列のままでも、先頭4文字の省略形でも結合できる
+    const abbreviated = mnemonics[0].split(' ').map(word => word.substring(0, 4)).join(' ');
+    expect(Array.from(combineShares([abbreviated, mnemonics[2]]))).toEqual(Array.from(key));
+  });
+
+  test('単語の入力ミスを検出する', () => {
+    const words = mnemonics[0].split(' ');
+    const swapped = [...words];
+    swapped[3] = words[3] === 'abandon' ? 'ability' : 'abandon';
+
+    expect(() => mnemonicToShare(swapped.join(' '))).toThrow('チェックサムが一致しません');
+    expect(() => mnemonicToShare([...words.slice(0, 3), 'qwerty', ...words.slice(4)].join(' ')))
+      .toThrow('4番目の単語「qwerty」');
+    expect(() => mnemonicToShare(words.slice(1).join(' '))).toThrow();
+  });
+});
+
+describe('secrets.js-grempeとの相互運用', () => {
+  const cases = ['A', 'シャミア秘密分散のテスト', 'a3f9'.repeat(16)];
+
+  test.each(cases)('secrets.js形式で分割したシェアをsecrets.jsで結合できる: %s', (secret) => {
+    const shares = createShares(secret, 5, 3, { format: 'secrets.js' });
+
+    // secrets.jsのcombineはシェアの並び順や組み合わせに依存しない
+    expect(fromHex(secrets.combine(shares.slice(0, 3).map(share => share.value)))).toBe(secret);
+    expect(fromHex(secrets.combine([shares[4].value, shares[1].value, shares[2].value]))).toBe(secret);
+  });
+
+  test.each(cases)('secrets.jsで分割したシェアをcombineSharesで結合できる: %s', (secret) => {
+    const shares = secrets.share(toHex(secret), 5, 3);
+
+    expect(combineShares(shares.slice(0, 3))).toBe(secret);
+    expect(combineShares([shares[4], shares[0], shares[2]])).toBe(secret);
+  });
+
+  test('パディング長の指定がsecrets.jsと同じシェア長になる', () => {
+    const secret = 'x'.repeat(20);
+    const ours = createShares(secret, 3, 2, { format: 'secrets.js', padLength: 256 });
+    const theirs = secrets.share(toHex(secret), 3, 2, 256);
+
+    expect(ours[0].value).toHaveLength(theirs[0].length);
+    expect(ours[0].value.substring(0, 3)).toBe(theirs[0].substring(0, 3));
+  });
+
+  test('16ビットの有限体のシェアを相互に結合できる', () => {
+    const secret = 'シャミア秘密分散のテスト';
+    const ours = createShares(secret, 5, 3, { format: 'secrets.js', bits: 16 });
+    expect(fromHex(secrets.combine(ours.slice(2).map(share => share.value)))).toBe(secret);
+
+    secrets.init(16);
+    const theirs = secrets.share(toHex(secret), 5, 3);
+    secrets.init(8);
+    expect(combineShares([theirs[1], theirs[3], theirs[4]])).toBe(secret);
+  });
+
+  test('既定の形式のシェアは従来どおり結合できる', () => {
+    const shares = createShares('テスト', 4, 2);
+
+    expect(combineShares([shares[3], shares[1]])).toBe('テスト');
+  });
+});
+
+describe('GF(2^16)モード', () => {
+  test('255を超えるシェアを作成し、ヘッダーから有限体を選択して結合できる', () => {
+    const shares = createShares('秘密', 300, 3, { bits: 16 });
+
+    expect(shares).toHaveLength(300);
+    expect(combineShares([shares[299], shares[0], shares[256]])).toBe('秘密');
+  });
+
+  test('8ビットでは255を超えるシェアを作成できない', () => {
+    expect(() => createShares('秘密', 256, 3)).toThrow('255以下');
+  });
+
+  test('16ビットではシェアごとのログを出力しない', () => {
+    console.log.mockClear();
+    createShares('秘密', 1000, 3, { bits: 16 });
+
+    expect(console.log.mock.calls.length).toBeLessThan(10);
+  });
+});
+
+describe('シェアのリフレッシュ', () => {
+  test('リフレッシュ後のシェアで同じ秘密を復元でき、古いシェアとは組み合わせられない', () => {
+    const shares = createShares('秘密', 5, 3);
+    const xs = shares.map(share => parseShare(share).x);
+    // 各保有者は宛先ごとのメッセージを作り、保有者xは自分宛てのメッセージだけを受け取る
+    const outboxes = shares.map(share => createShareRefresh(share, xs));
+    const inbox = (x) => outboxes.map(outbox => outbox[x]);
+    const refreshed = shares.map((share, i) => applyShareRefresh(share, inbox(xs[i])));
+
+    expect(combineShares([refreshed[0], refreshed[2], refreshed[4]])).toBe('秘密');
+    expect(parseShare(refreshed[0]).splitId).not.toBe(parseShare(shares[0]).splitId);
+    expect(() => combineShares([refreshed[0], shares[2], refreshed[4]])).toThrow('別の分割');
+  });
+
+  test('他の保有者宛ての差分は適用できない', () => {
+    const shares = createShares('秘密', 3, 2);
+    const xs = shares.map(share => parseShare(share).x);
+    const outboxes = shares.map(share => createShareRefresh(share, xs));
+
+    expect(Object.keys(outboxes[0]).map(Number)).toEqual(xs);
+    expect(() => applyShareRefresh(shares[0], outboxes.map(outbox => outbox[xs[1]]))).toThrow('このシェア宛てではありません');
+  });
+});
+
+describe('再分散とシェアの発行', () => {
+  const secret = 'マスターキー';
+  const shares = createShares(secret, 5, 3);
+
+  test('3-of-5のクォーラムから4-of-7のシェアを作成できる', () => {
+    const quorum = [shares[0], shares[2], shares[4]];
+    const quorumXs = quorum.map(share => parseShare(share).x);
+    const newXs = [1, 2, 3, 4, 5, 6, 7];
+    // 新しい保有者xは、クォーラムの各メンバーからx宛てのメッセージだけを受け取る
+    const outboxes = quorum.map(share => createReshareContribution(share, quorumXs, newXs, 4));
+    const reshared = newXs.map(x => combineReshareContributions(x, outboxes.map(outbox => outbox[x])));
+
+    expect(combineShares([reshared[6], reshared[1], reshared[3], reshared[5]])).toBe(secret);
+    expect(() => combineShares(reshared.slice(0, 3))).toThrow('シェアが不足しています');
+  });
+
+  test('既存のシェアと組み合わせられる新しいx座標のシェアを発行できる', () => {
+    const quorum = [shares[1], shares[2], shares[3]];
+    const quorumXs = quorum.map(share => parseShare(share).x);
+    // 各メンバーは自分が作ったマスクと、他のメンバーから受け取った自分宛てのマスクだけを使う
+    const outboxes = quorum.map(share => createEnrollmentMasks(share, quorumXs));
+    const inbox = (x) => outboxes.filter(outbox => outbox[x]).map(outbox => outbox[x]);
+    const contributions = quorum.map((share, i) =>
+      createEnrollmentContribution(share, quorumXs, 9, outboxes[i], inbox(quorumXs[i]))
+    );
+    const enrolled = combineEnrollmentContributions(contributions);
+
+    expect(Object.keys(outboxes[0]).map(Number)).toEqual(quorumXs.slice(1));
+    expect(parseShare(enrolled).x).toBe(9);
+    expect(combineShares([enrolled, shares[0], shares[4]])).toBe(secret);
+    // 他のメンバー宛てのマスクは使えない
+    expect(() => createEnrollmentContribution(quorum[0], quorumXs, 9, outboxes[0], inbox(quorumXs[1])))
+      .toThrow('マスクが揃っていません');
+  });
+});
+
+describe('バイナリの秘密', () => {
+  const key = new Uint8Array(32).map((_, i) => 255 - i);
+
+  test('Uint8Arrayを分割するとUint8Arrayが復元される', () => {
+    const shares = createShares(key, 5, 3);
+
+    expect(parseShare(shares[0]).encoding).toBe('binary');
+    expect(Array.from(combineShares(shares.slice(2)))).toEqual(Array.from(key));
+  });
+
+  test('分割時に秘密のバイト列と多項式の係数をログに出力しない', () => {
+    console.log.mockClear();
+    createShares(key, 5, 3);
+
+    const logged = JSON.stringify(console.log.mock.calls);
+    expect(logged).not.toContain(JSON.stringify(Array.from(key)));
+    expect(logged).not.toContain('係数');
+  });
+
+  test('ヘッダーのないシェアはエンコーディングを指定して復元できる', () => {
+    const shares = secrets.share(Buffer.from(key).toString('hex'), 5, 3);
+
+    expect(Array.from(combineShares(shares.slice(0, 3), { encoding: 'binary' }))).toEqual(Array.from(key));
+  });
+
+  test('文字列以外の値は従来どおり文字列として分割される', () => {
+    const shares = createShares(12345, 3, 2);
+
+    expect(parseShare(shares[0]).encoding).toBe('utf-8');
+    expect(combineShares(shares.slice(1))).toBe('12345');
+  });
+});
+
+describe('ガーディアン宛てのシェア暗号化', () => {
+  test('各ガーディアンが自分のシェアを復号でき、他人の鍵では復号できない', async () => {
+    const guardians = [await generateKeyPair(), await generateECKeyPair(), await generateKeyPair()];
+    const { shares, guardianShares } = await generateGuardianRecoveryData(
+      'マスターキー',
+      guardians.map(guardian => guardian.publicKey),
+      2
+    );
+
+    expect(shares).toBeUndefined();
+    expect(guardianShares.map(share => share.guardian)).toEqual(guardians.map(guardian => guardian.fingerprint));
+
+    const decrypted = await Promise.all([
+      decryptGuardianShare(guardianShares[1], guardians[1].privateKey),
+      decryptGuardianShare(guardianShares[2], guardians[2].privateKey, { threshold: 2 })
+    ]);
+    expect(combineShares(decrypted)).toBe('マスターキー');
+    await expect(decryptGuardianShare(guardianShares[0], guardians[2].privateKey)).rejects.toThrow('鍵が一致しません');
+  });
+});
+
+describe('公開リカバリーデータのコミットメント', () => {
+  test('復元した秘密が正しいかを公開データだけで確認できる', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const publicData = JSON.parse(new TextDecoder().decode(publicRecoveryData));
+
+    expect(publicData.splitId).toBe(parseShare(shares[0]).splitId);
+    expect(JSON.stringify(publicData)).not.toContain('マスターキー');
+    await expect(verifyRecoveredSecret(combineShares(shares.slice(1)), publicRecoveryData)).resolves.toBe(true);
+    await expect(verifyRecoveredSecret('マスターキー2', publicRecoveryData)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,308 @@
+// src/services/recovery-policy.js
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  createShares,
+  combineShares,
+  bytesToHex,
+  hexToBytes,
+  secretToBytes,
+  MAX_SHARES
+} from './improved-crypto';
+// 重み付き・階層型のしきい値ポリシーによる秘密分散
+// 既存のシャミア秘密分散（createShares / combineShares）を入れ子に適用し、
+// 「家族2人、または家族1人と弁護士、または友人4人」のようなポリシーを表現します
+//
+// ポリシーの定義:
+//   グループ: { name, threshold, members: [...] }
+//     - threshold: 必要なメンバー数（保有者は重みの分だけ数える）
+//     - threshold = 1 はOR、threshold = メンバーの合計重み はAND
+//   保有者:   { holder, weight }
+//     - weight: 保有者が持つシェアの数（省略時は1）
+//
+// グループの秘密をメンバーの合計重みとしきい値で分割し、サブグループはさらに
+// 受け取ったシェアを秘密として分割します。
+//
+// 注意: threshold = 1 のグループは分割せず、各メンバーがグループの秘密そのものを
+// 平文で受け取ります（1人で満たせるグループなので、秘密分散による保護はありません）。
+// ルートのグループを threshold = 1 にすると、保有者として直接並べたメンバーは
+// 元の秘密をそのまま持つことになります。各メンバーをしきい値2以上のサブグループにするか、
+// シェアを保有者ごとに暗号化して配布してください。
+
+const POLICY_VERSION = 1;
+
+/**
+ * ポリシーの定義を検証し、各ノードにパスを付与
+ * @param {Object} node - ポリシーのノード
+ * @param {string} path - ノードのパス
+ * @returns {Object} 正規化されたノード
+ */
+const normalizePolicyNode = (node, path) => {
+  if (!node || typeof node !== 'object') {
+    throw new Error(`ポリシーのノードが不正です: ${path}`);
+  }
+
+  // 保有者
+  if (node.holder !== undefined) {
+    if (typeof node.holder !== 'string' || node.holder === '') {
+      throw new Error(`保有者名は空でない文字列である必要があります: ${path}`);
+    }
+    const weight = node.weight === undefined ? 1 : node.weight;
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new Error(`保有者「${node.holder}」の重みは1以上の整数である必要があります`);
+    }
+    return { holder: node.holder, weight };
+  }
+
+  // グループ
+  if (!Array.isArray(node.members) || node.members.length === 0) {
+    throw new Error(`グループにはメンバーが必要です: ${node.name || path}`);
+  }
+
+  const members = node.members.map((member, i) => normalizePolicyNode(member, `${path}.${i}`));
+  const totalWeight = members.reduce((sum, member) => sum + (member.weight || 1), 0);
+
+  if (!Number.isInteger(node.threshold) || node.threshold < 1 || node.threshold > totalWeight) {
+    throw new Error(
+      `グループ「${node.name || path}」のしきい値は1から${totalWeight}までの整数である必要があります`
+    );
+  }
+
+  return {
+    path,
+    name: node.name || path,
+    threshold: node.threshold,
+    members
+  };
+};
+
+/**
+ * グループのメンバーごとのx座標の範囲を計算（重みの分だけ連続して割り当てる）
+ * @param {Object} group - 正規化されたグループ
+ * @returns {Array<number>} 各メンバーの最初のシェアのインデックス
+ */
+const memberOffsets = (group) => {
+  let offset = 0;
+  return group.members.map(member => {
+    const start = offset;
+    offset += member.weight || 1;
+    return start;
+  });
+};
+
+/**
+ * グループの秘密を分割してメンバーに配布（再帰）
+ * @param {Uint8Array} secretBytes - グループの秘密
+ * @param {Object} group - 正規化されたグループ
+ * @param {Array} pieces - 保有者ごとのシェアの出力先
+ */
+const splitGroup = (secretBytes, group, pieces) => {
+  const totalWeight = group.members.reduce((sum, member) => sum + (member.weight || 1), 0);
+
+  // しきい値1のグループは全員が秘密そのものを受け取る（分割による保護はない）
+  const values = group.threshold === 1
+    ? new Array(totalWeight).fill(bytesToHex(secretBytes))
+    : createShares(secretBytes, totalWeight, group.threshold, {
+      bits: totalWeight > MAX_SHARES[8] ? 16 : 8
+    }).map(share => share.value);
+
+  const offsets = memberOffsets(group);
+  group.members.forEach((member, i) => {
+    if (member.holder !== undefined) {
+      for (let j = 0; j < member.weight; j++) {
+        pieces.push({
+          id: `share-${uuidv4()}`,
+          holder: member.holder,
+          path: group.path,
+          value: values[offsets[i] + j]
+        });
+      }
+    } else {
+      // サブグループは受け取った値をさらに分割
+      splitGroup(hexToBytes(values[offsets[i]]), member, pieces);
+    }
+  });
+};
+
+/**
+ * ポリシーに従って秘密を分割
+ * しきい値1のグループのメンバーはグループの秘密を平文で受け取る（ファイル冒頭の注意を参照）
+ * @param {string|Uint8Array|ArrayBuffer} secret - 分割する秘密情報
+ * @param {Object} policy - ポリシーの定義（ルートのグループ）
+ * @returns {Object} 公開するポリシー記述と保有者ごとのシェア（policy, shares）
+ */
+export const createPolicyShares = (secret, policy) => {
+  try {
+    const root = normalizePolicyNode(policy, 'root');
+    if (root.holder !== undefined) {
+      throw new Error('ポリシーのルートはグループである必要があります');
+    }
+
+    const { bytes: secretBytes, encoding } = secretToBytes(secret);
+
+    const shares = [];
+    splitGroup(secretBytes, root, shares);
+
+    return {
+      policy: {
+        version: POLICY_VERSION,
+        type: 'recovery-policy',
+        encoding,
+        root
+      },
+      shares
+    };
+  } catch (error) {
+    console.error('ポリシーによる分割に失敗しました:', error);
+    throw new Error('ポリシーによる分割に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * 保有者のシェアをグループのパスと保有者名で引けるようにする
+ * @param {Array} shares - 保有者ごとのシェア
+ * @returns {Function} (path, holder) => シェアの配列
+ */
+const indexShares = (shares) => {
+  const index = new Map();
+  shares.forEach(share => {
+    const key = `${share.path}\u0000${share.holder}`;
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    // 同じシェアが重複して渡された場合は1つとして数える
+    if (!index.get(key).some(existing => existing.value === share.value)) {
+      index.get(key).push(share);
+    }
+  });
+  return (path, holder) => index.get(`${path}\u0000${holder}`) || [];
+};
+
+/**
+ * グループの充足状況を評価（再帰）
+ * @param {Object} group - 正規化されたグループ
+ * @param {Function} lookup - シェアの検索関数
+ * @returns {Object} 充足状況
+ */
+const evaluateGroup = (group, lookup) => {
+  const members = group.members.map(member => {
+    if (member.holder !== undefined) {
+      const have = Math.min(lookup(group.path, member.holder).length, member.weight);
+      return { holder: member.holder, weight: member.weight, have };
+    }
+    return evaluateGroup(member, lookup);
+  });
+
+  const have = members.reduce((sum, member) => {
+    if (member.holder !== undefined) return sum + member.have;
+    return sum + (member.satisfied ? 1 : 0);
+  }, 0);
+
+  return {
+    path: group.path,
+    name: group.name,
+    threshold: group.threshold,
+    have,
+    satisfied: have >= group.threshold,
+    members
+  };
+};
+
+/**
+ * 未充足のグループについて不足内容を説明（再帰）
+ * @param {Object} status - グループの充足状況
+ * @returns {Array<string>} 不足内容の説明
+ */
+const describeMissing = (status) => {
+  if (status.satisfied) {
+    return [];
+  }
+
+  const holders = status.members
+    .filter(member => member.holder !== undefined && member.have < member.weight)
+    .map(member => member.weight > 1
+      ? `${member.holder}（${member.have}/${member.weight}）`
+      : member.holder);
+  const groups = status.members
+    .filter(member => member.holder === undefined && !member.satisfied)
+    .map(member => `「${member.name}」`);
+  const candidates = [...holders, ...groups].join('、');
+
+  const lines = [
+    `「${status.name}」: ${status.threshold}必要なうち${status.have}が揃っています（あと${status.threshold - status.have}、候補: ${candidates}）`
+  ];
+  status.members
+    .filter(member => member.holder === undefined)
+    .forEach(member => lines.push(...describeMissing(member)));
+  return lines;
+};
+
+/**
+ * 集まったシェアでポリシーが満たされているか評価
+ * @param {Object} policy - createPolicySharesで作成したポリシー記述
+ * @param {Array} shares - 集まった保有者のシェア
+ * @returns {Object} 充足状況（satisfied, status, missing）
+ */
+export const evaluatePolicy = (policy, shares) => {
+  if (!policy || policy.type !== 'recovery-policy' || policy.version !== POLICY_VERSION) {
+    throw new Error('未対応のポリシー形式です');
+  }
+
+  const status = evaluateGroup(policy.root, indexShares(shares));
+  return {
+    satisfied: status.satisfied,
+    status,
+    missing: describeMissing(status)
+  };
+};
+
+/**
+ * グループの秘密を復元（再帰）
+ * @param {Object} group - 正規化されたグループ
+ * @param {Object} status - グループの充足状況
+ * @param {Function} lookup - シェアの検索関数
+ * @returns {Uint8Array} グループの秘密
+ */
+const recoverGroup = (group, status, lookup) => {
+  const values = [];
+  group.members.forEach((member, i) => {
+    if (values.length >= group.threshold) return;
+
+    if (member.holder !== undefined) {
+      lookup(group.path, member.holder)
+        .slice(0, member.weight)
+        .forEach(share => values.push(share.value));
+    } else if (status.members[i].satisfied) {
+      values.push(bytesToHex(recoverGroup(member, status.members[i], lookup)));
+    }
+  });
+
+  if (group.threshold === 1) {
+    return hexToBytes(values[0]);
+  }
+  return combineShares(values.slice(0, group.threshold));
+};
+
+/**
+ * ポリシーに従ってシェアを結合し秘密を復元
+ * ポリシーが満たされていない場合は、どのグループに何が不足しているかを返す
+ * @param {Object} policy - createPolicySharesで作成したポリシー記述
+ * @param {Array} shares - 集まった保有者のシェア
+ * @returns {Object} 復元結果（satisfied, secret, status, missing）
+ */
+export const combinePolicyShares = (policy, shares) => {
+  try {
+    const evaluation = evaluatePolicy(policy, shares);
+    if (!evaluation.satisfied) {
+      return { ...evaluation, secret: null };
+    }
+
+    const secretBytes = recoverGroup(policy.root, evaluation.status, indexShares(shares));
+    const secret = policy.encoding === 'binary' ? secretBytes : new TextDecoder().decode(secretBytes);
+
+    return { ...evaluation, secret };
+  } catch (error) {
+    console.error('ポリシーによる復元に失敗しました:', error);
+    throw new Error('ポリシーによる復元に失敗しました: ' + error.message);
+  }
+};
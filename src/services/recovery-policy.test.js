@@ -0,0 +1,59 @@
+/**
+ * @jest-environment node
+ */
+import './test-setup';
+import { createPolicyShares, combinePolicyShares } from './recovery-policy';
+
+describe('重み付き・階層型のポリシー', () => {
+  const family = [{ holder: 'mom' }, { holder: 'dad' }, { holder: 'sister' }];
+  const friends = ['a', 'b', 'c', 'd', 'e'].map(holder => ({ holder }));
+  const { policy, shares } = createPolicyShares('マスターキー', {
+    name: '全体',
+    threshold: 1,
+    members: [
+      { name: '家族2人', threshold: 2, members: family },
+      {
+        name: '家族1人と弁護士',
+        threshold: 2,
+        members: [{ name: '家族1人', threshold: 1, members: family }, { holder: 'lawyer' }]
+      },
+      { name: '友人4人', threshold: 4, members: friends },
+      { name: '重み付き', threshold: 3, members: [{ holder: 'boss', weight: 2 }, { holder: 'deputy' }] }
+    ]
+  });
+  const sharesOf = (...holders) => shares.filter(share => holders.includes(share.holder));
+
+  test.each([
+    [['mom', 'dad']],
+    [['sister', 'lawyer']],
+    [['a', 'b', 'c', 'd']],
+    [['boss', 'deputy']]
+  ])('満たされたポリシーで秘密を復元できる: %p', (holders) => {
+    const result = combinePolicyShares(policy, sharesOf(...holders));
+
+    expect(result.satisfied).toBe(true);
+    expect(result.secret).toBe('マスターキー');
+  });
+
+  test('満たされていない場合は不足しているグループを説明する', () => {
+    const result = combinePolicyShares(policy, sharesOf('mom', 'a', 'b', 'c', 'boss'));
+
+    expect(result.satisfied).toBe(false);
+    expect(result.secret).toBeNull();
+    expect(result.missing).toEqual(expect.arrayContaining([
+      expect.stringContaining('「家族2人」: 2必要なうち1'),
+      expect.stringContaining('「家族1人と弁護士」: 2必要なうち1'),
+      expect.stringContaining('「友人4人」: 4必要なうち3'),
+      expect.stringContaining('「重み付き」: 3必要なうち2')
+    ]));
+  });
+
+  test('ArrayBufferの秘密はUint8Arrayとして復元される', () => {
+    const key = new Uint8Array([1, 2, 3, 250, 251, 252]);
+    const split = createPolicyShares(key.buffer, { threshold: 2, members: family });
+    const result = combinePolicyShares(split.policy, split.shares.filter(share => share.holder !== 'dad'));
+
+    expect(split.policy.encoding).toBe('binary');
+    expect(Array.from(result.secret)).toEqual(Array.from(key));
+  });
+});
@@ -0,0 +1,400 @@
+// src/services/recovery-session.js
+
+import { v4 as uuidv4 } from 'uuid';
+import { utils } from 'ethers';
+import {
+  generateECKeyPair,
+  encryptWithECPublicKey,
+  decryptWithECPrivateKey,
+  decryptGuardianShare,
+  parseShare,
+  combineShares,
+  combineSharesRobust,
+  parsePublicRecoveryData,
+  verifyRecoveredSecret
+} from './improved-crypto';
+import {
+  createShareReleasePayload,
+  signGuardianApproval,
+  verifyGuardianApproval
+} from './guardian-approvals';
+// ガーディアンによるリカバリーセッション
+// generateRecoveryData / generateGuardianRecoveryDataで配布したシェアを集めて秘密を復元するまでの手順を、
+// シリアライズ可能なメッセージを入出力とする関数として提供します
+// （メッセージはバックエンドなどで中継するだけで、中継者はシェアを読めません）
+//
+// 手順:
+//   1. 要求者: createRecoverySession でエフェメラル鍵ペアとセッション要求を作成し、要求をガーディアンに送る
+//   2. ガーディアン: createShareResponse で自分のシェアをセッション鍵宛てに暗号化した応答を作成する
+//      （ガーディアンのEthereumアドレスが登録されている場合は、ウォレットでShareReleaseに署名する）
+//   3. 要求者: collectShareResponse で応答の署名を検証・復号して状態に追加する
+//      しきい値に達した時点でシェアを結合し、コミットメントと照合した結果を返す
+//
+// 平文のシェアからも応答を作成できるため、中継者は任意のシェアを送り込めます。
+// ガーディアンのアドレスを登録しておくと、署名のない応答や登録されていないガーディアンの応答は拒否されます。
+// 署名のないセッションでも、コミットメントと一致する組み合わせが見つかるまで結合をやり直すため、
+// 不正なシェアが混ざっても残りのシェアが届けば復元できます。
+//
+// 要求者の状態（state）にはセッションの秘密鍵が含まれるため、要求者の手元から出さないでください。
+
+const SESSION_VERSION = 1;
+const DEFAULT_SESSION_TTL = 24 * 60 * 60 * 1000; // 24時間
+const MAX_COMBINATION_ATTEMPTS = 10000; // コミットメントと照合するシェアの組み合わせの上限
+
+/**
+ * メッセージを解析して種類とバージョンを確認
+ * @param {Object|string} message - メッセージ（オブジェクトまたはJSON文字列）
+ * @param {string} type - 期待するメッセージの種類
+ * @returns {Object} メッセージ
+ */
+const parseMessage = (message, type) => {
+  const parsed = typeof message === 'string' ? JSON.parse(message) : message;
+  if (!parsed || parsed.type !== type || parsed.version !== SESSION_VERSION) {
+    throw new Error(`未対応のメッセージ形式です（期待値: ${type}）`);
+  }
+  return parsed;
+};
+
+/**
+ * セッションの有効期限を確認
+ * @param {Object} request - セッション要求
+ */
+const assertNotExpired = (request) => {
+  if (request.expiresAt && Date.now() > Date.parse(request.expiresAt)) {
+    throw new Error(`セッションの有効期限が切れています（${request.expiresAt}）`);
+  }
+};
+
+/**
+ * シェア提供の署名に使うオプション（チェーンID）を作成
+ * @param {Object} request - セッション要求
+ * @returns {Object} guardian-approvalsのオプション
+ */
+const approvalOptions = (request) => {
+  return request.chainId === null || request.chainId === undefined ? {} : { chainId: request.chainId };
+};
+
+/**
+ * リカバリーセッションを作成（要求者）
+ * @param {Uint8Array|string|Object} publicRecoveryData - generateRecoveryData（またはgenerateGuardianRecoveryData）の公開リカバリーデータ
+ * @param {Object} [options] - オプション
+ * @param {number} [options.ttl] - セッションの有効期間（ミリ秒、既定は24時間）
+ * @param {Array<string>} [options.guardianAddresses] - 署名を要求するガーディアンのEthereumアドレス
+ *   （省略時は公開リカバリーデータのguardianAddresses。シェアと同じ順で、i番目がx = i + 1のシェアの保有者）
+ * @param {number} [options.chainId] - 署名のチェーンID
+ * @returns {Promise<Object>} ガーディアンに送るセッション要求（request）と要求者の状態（state）
+ */
+export const createRecoverySession = async (publicRecoveryData, options = {}) => {
+  try {
+    const publicData = parsePublicRecoveryData(publicRecoveryData);
+    if (!Number.isInteger(publicData.requiredShares) || publicData.requiredShares < 2) {
+      throw new Error('公開リカバリーデータにしきい値がありません');
+    }
+
+    const guardianAddresses = options.guardianAddresses || publicData.guardianAddresses || null;
+
+    const keyPair = await generateECKeyPair('P-256');
+    const createdAt = new Date();
+    const ttl = options.ttl === undefined ? DEFAULT_SESSION_TTL : options.ttl;
+
+    const request = {
+      version: SESSION_VERSION,
+      type: 'recovery-session-request',
+      sessionId: `session-${uuidv4()}`,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + ttl).toISOString(),
+      publicKey: keyPair.publicKey,
+      fingerprint: keyPair.fingerprint,
+      splitId: publicData.splitId || null,
+      requiredShares: publicData.requiredShares,
+      guardians: publicData.guardians || null,
+      guardianAddresses: guardianAddresses ? guardianAddresses.map(address => utils.getAddress(address)) : null,
+      chainId: options.chainId === undefined ? null : options.chainId
+    };
+
+    return {
+      request,
+      state: {
+        version: SESSION_VERSION,
+        type: 'recovery-session-state',
+        request,
+        privateKey: keyPair.privateKey,
+        publicRecoveryData: publicData,
+        shares: [],
+        rejected: []
+      }
+    };
+  } catch (error) {
+    console.error('リカバリーセッションの作成に失敗しました:', error);
+    throw new Error('リカバリーセッションの作成に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * セッション要求に対するシェアの応答を作成（ガーディアン）
+ * ガーディアン宛てに暗号化されたシェア（encryptShareForGuardianの出力）の場合は秘密鍵で復号・検証し、
+ * セッションの公開鍵宛てに暗号化し直す。
+ * options.walletを指定すると、応答にShareReleaseの署名（approval）を添付する
+ * （セッションにガーディアンのアドレスが登録されている場合は必須）
+ * @param {Object|string} request - セッション要求
+ * @param {Object|string} guardianShare - ガーディアンのシェア（暗号化されたシェア、または平文のシェア）
+ * @param {string} [guardianPrivateKey] - ガーディアンの秘密鍵（暗号化されたシェアの場合に必要）
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.wallet] - ガーディアンのethersのWallet（またはSigner）
+ * @param {string} [options.scheme] - 署名方式（'eip712'（既定）または 'eip191'）
+ * @returns {Promise<Object>} 要求者に送る応答
+ */
+export const createShareResponse = async (request, guardianShare, guardianPrivateKey, options = {}) => {
+  try {
+    const sessionRequest = parseMessage(request, 'recovery-session-request');
+    assertNotExpired(sessionRequest);
+
+    const record = typeof guardianShare === 'string' ? JSON.parse(guardianShare) : guardianShare;
+    const isEncrypted = record && record.type === 'guardian-share';
+    const share = isEncrypted
+      ? await decryptGuardianShare(record, guardianPrivateKey, {
+        splitId: sessionRequest.splitId || undefined,
+        threshold: sessionRequest.requiredShares
+      })
+      : record;
+
+    // 要求と異なる分割のシェアを送らないよう事前に確認
+    const parsed = parseShare(share);
+    if (sessionRequest.splitId && parsed.splitId !== sessionRequest.splitId) {
+      throw new Error(`要求と別の分割のシェアです（分割ID: ${parsed.splitId}）`);
+    }
+
+    const encrypted = await encryptWithECPublicKey(
+      { sessionId: sessionRequest.sessionId, share },
+      sessionRequest.publicKey
+    );
+
+    const response = {
+      version: SESSION_VERSION,
+      type: 'recovery-session-response',
+      sessionId: sessionRequest.sessionId,
+      guardian: isEncrypted ? record.guardian : null,
+      x: parsed.x,
+      encrypted
+    };
+    if (!options.wallet) {
+      return response;
+    }
+
+    // 応答のハッシュに署名し、中継中の差し替えを検出できるようにする
+    const address = await options.wallet.getAddress();
+    const payload = createShareReleasePayload(response, address, approvalOptions(sessionRequest));
+    const approval = await signGuardianApproval(options.wallet, payload, { scheme: options.scheme });
+    return { ...response, approval };
+  } catch (error) {
+    console.error('シェアの応答作成に失敗しました:', error);
+    throw new Error('シェアの応答作成に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * シェアの値を取得
+ * @param {Object|string} share - シェア
+ * @returns {string} シェアの値
+ */
+const shareValue = (share) => {
+  return (share && share.value) || share;
+};
+
+/**
+ * セッションの進捗を取得
+ * @param {Object} state - 要求者の状態
+ * @returns {Object} 進捗（collected: 集まったx座標の数, required, remaining, complete）
+ */
+export const getSessionStatus = (state) => {
+  const required = state.request.requiredShares;
+  const collected = new Set(state.shares.map(share => parseShare(share).x)).size;
+  return {
+    collected,
+    required,
+    remaining: Math.max(required - collected, 0),
+    complete: collected >= required
+  };
+};
+
+/**
+ * 応答を復号して検証
+ * @param {Object} state - 要求者の状態
+ * @param {Object} response - 応答
+ * @returns {Promise<Object>} 復号されたシェア
+ */
+const openShareResponse = async (state, response) => {
+  const { request } = state;
+  if (response.sessionId !== request.sessionId) {
+    throw new Error('別のセッションへの応答です');
+  }
+  // ガーディアンの鍵が登録されている場合、応答のガーディアンは必須
+  const guardianIndex = request.guardians ? request.guardians.indexOf(response.guardian) : -1;
+  if (request.guardians && guardianIndex === -1) {
+    throw new Error(response.guardian
+      ? '登録されていないガーディアンからの応答です'
+      : 'ガーディアンの記載がない応答です');
+  }
+  if (guardianIndex !== -1 && guardianIndex + 1 !== response.x) {
+    throw new Error('応答のガーディアンとx座標が一致しません');
+  }
+
+  // ガーディアンのアドレスが登録されている場合、シェア提供の署名を検証してから受け取る
+  if (request.guardianAddresses) {
+    if (!response.approval) {
+      throw new Error('ガーディアンの署名がない応答です');
+    }
+    const verification = verifyGuardianApproval(response.approval, request.guardianAddresses, {
+      sessionId: request.sessionId,
+      expectedPrimaryType: 'ShareRelease',
+      response,
+      ...approvalOptions(request)
+    });
+    if (!verification.valid) {
+      throw new Error(`ガーディアンの署名を検証できません: ${verification.reason}`);
+    }
+    if (request.guardianAddresses.indexOf(verification.signer) + 1 !== response.x) {
+      throw new Error(`署名したガーディアン（${verification.signer}）のシェアではありません`);
+    }
+  }
+
+  const payload = await decryptWithECPrivateKey(response.encrypted, state.privateKey);
+  if (!payload || payload.sessionId !== request.sessionId || !payload.share) {
+    throw new Error('応答の内容が不正です');
+  }
+
+  const parsed = parseShare(payload.share);
+  if (parsed.x !== response.x) {
+    throw new Error('応答のx座標がシェアと一致しません');
+  }
+  if (request.splitId && parsed.splitId !== request.splitId) {
+    throw new Error(`別の分割のシェアです（分割ID: ${parsed.splitId}）`);
+  }
+  if (parsed.threshold !== null && parsed.threshold !== request.requiredShares) {
+    throw new Error(`しきい値が一致しません（シェア: ${parsed.threshold}、期待値: ${request.requiredShares}）`);
+  }
+  // 同じx座標でも内容の異なるシェアは受け取る（先に届いた偽のシェアで正しいシェアを締め出されないように）
+  if (state.shares.some(share => shareValue(share) === shareValue(payload.share))) {
+    throw new Error(`x座標${parsed.x}のシェアは受け取り済みです`);
+  }
+
+  return payload.share;
+};
+
+/**
+ * 配列から指定した数の要素を選ぶ組み合わせを順に列挙
+ * @param {Array} items - 要素の配列
+ * @param {number} size - 選ぶ数
+ * @returns {Generator<Array>} 組み合わせ
+ */
+function* combinations(items, size) {
+  const indexes = Array.from({ length: size }, (_, i) => i);
+  while (indexes.length > 0 && indexes[size - 1] < items.length) {
+    yield indexes.map(i => items[i]);
+    let i = size - 1;
+    while (i >= 0 && indexes[i] === items.length - size + i) {
+      i--;
+    }
+    if (i < 0) return;
+    indexes[i]++;
+    for (let j = i + 1; j < size; j++) {
+      indexes[j] = indexes[j - 1] + 1;
+    }
+  }
+}
+
+/**
+ * 集めたシェアを結合して秘密を復元（要求者）
+ * 公開リカバリーデータにコミットメントがあれば、復元した秘密を照合する。
+ * しきい値より多くのシェアがある場合は、コミットメントと一致するまでシェアの組み合わせを変えて結合する
+ * （不正なシェアが混ざっていても、正しいシェアがしきい値以上あれば復元できる）
+ * @param {Object} state - 要求者の状態
+ * @returns {Promise<Object>} 復元結果（secret, verified）。コミットメントがない場合のverifiedはnull
+ */
+export const completeRecoverySession = async (state) => {
+  try {
+    const sessionState = parseMessage(state, 'recovery-session-state');
+    const status = getSessionStatus(sessionState);
+    if (!status.complete) {
+      throw new Error(`シェアが不足しています（${status.required}必要なうち${status.collected}）`);
+    }
+
+    // コミットメントがない場合は照合できないため、誤り訂正付きの結合で不一致のシェアを除外する
+    const { commitment } = sessionState.publicRecoveryData;
+    if (!commitment) {
+      const secret = sessionState.shares.length > status.required
+        ? combineSharesRobust(sessionState.shares, { threshold: status.required }).secret
+        : combineShares(sessionState.shares);
+      return { secret, verified: null };
+    }
+
+    let attempts = 0;
+    for (const subset of combinations(sessionState.shares, status.required)) {
+      if (++attempts > MAX_COMBINATION_ATTEMPTS) {
+        throw new Error(`照合するシェアの組み合わせが多すぎます（${MAX_COMBINATION_ATTEMPTS}通りまで）`);
+      }
+      // 組み合わせごとにシェアや復元途中の値をログに出力しないよう、ログなしで結合する
+      let secret;
+      try {
+        secret = combineShares(subset, { quiet: true });
+      } catch (error) {
+        continue;
+      }
+      if (await verifyRecoveredSecret(secret, commitment)) {
+        return { secret, verified: true };
+      }
+    }
+
+    throw new Error('復元した秘密がコミットメントと一致しません（不正なシェアが含まれている可能性があります）');
+  } catch (error) {
+    console.error('リカバリーセッションの完了に失敗しました:', error);
+    throw new Error('リカバリーセッションの完了に失敗しました: ' + error.message);
+  }
+};
+
+/**
+ * ガーディアンの応答を受け取る（要求者）
+ * 不正な応答は例外にせずrejectedに記録する。しきい値に達した以降は応答を受け取るたびにシェアを結合し、
+ * 公開リカバリーデータのコミットメントと照合した結果をresultとして返す。
+ * 結合や照合に失敗した場合もresultにerrorを返して状態を保持するため、さらに応答を集めて再試行できる
+ * @param {Object} state - 要求者の状態
+ * @param {Object|string} response - ガーディアンの応答
+ * @returns {Promise<Object>} 新しい状態（state）、受理の可否（accepted, reason）、復元結果（result: secret, verified または error）
+ */
+export const collectShareResponse = async (state, response) => {
+  const sessionState = parseMessage(state, 'recovery-session-state');
+
+  let share;
+  try {
+    const sessionResponse = parseMessage(response, 'recovery-session-response');
+    assertNotExpired(sessionState.request);
+    share = await openShareResponse(sessionState, sessionResponse);
+  } catch (error) {
+    console.error('応答を受理できませんでした:', error);
+    return {
+      state: {
+        ...sessionState,
+        rejected: [...sessionState.rejected, {
+          guardian: (response && response.guardian) || null,
+          reason: error.message
+        }]
+      },
+      accepted: false,
+      reason: error.message,
+      result: null
+    };
+  }
+
+  const nextState = { ...sessionState, shares: [...sessionState.shares, share] };
+  if (!getSessionStatus(nextState).complete) {
+    return { state: nextState, accepted: true, reason: null, result: null };
+  }
+
+  let result;
+  try {
+    result = await completeRecoverySession(nextState);
+  } catch (error) {
+    result = { error: error.message };
+  }
+  return { state: nextState, accepted: true, reason: null, result };
+};
@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+import './test-setup';
+import { Wallet, utils } from 'ethers';
+import {
+  generateKeyPair,
+  generateECKeyPair,
+  generateRecoveryData,
+  generateGuardianRecoveryData
+} from './improved-crypto';
+import {
+  createRecoverySession,
+  createShareResponse,
+  collectShareResponse,
+  getSessionStatus
+} from './recovery-session';
+
+// メッセージは中継される前提のため、JSONを経由させる
+const relay = (message) => JSON.parse(JSON.stringify(message));
+
+// yを書き換えてチェックサムを計算し直したシェア（中継者が送り込む偽のシェアを想定）
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach(byte => {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) {
+      crc = (crc >>> 1) ^ (crc & 1 ? 0xedb88320 : 0);
+    }
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+const forgeShare = (share) => {
+  const body = Buffer.from(share.value, 'hex').subarray(0, -4);
+  body[12] ^= 0xff;
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(body));
+  return { ...share, value: Buffer.concat([body, checksum]).toString('hex') };
+};
+
+describe('リカバリーセッション', () => {
+  test('ガーディアンの応答を集め、しきい値に達した時点で秘密を復元する', async () => {
+    const guardians = [await generateKeyPair(), await generateECKeyPair(), await generateECKeyPair()];
+    const { guardianShares, publicRecoveryData } = await generateGuardianRecoveryData(
+      'マスターキー',
+      guardians.map(guardian => guardian.publicKey),
+      2
+    );
+    const { request, state } = await createRecoverySession(publicRecoveryData);
+
+    const first = await createShareResponse(relay(request), guardianShares[2], guardians[2].privateKey);
+    const second = await createShareResponse(relay(request), guardianShares[0], guardians[0].privateKey);
+
+    let collected = await collectShareResponse(relay(state), relay(first));
+    expect(collected.accepted).toBe(true);
+    expect(collected.result).toBeNull();
+    expect(getSessionStatus(collected.state).remaining).toBe(1);
+
+    // 同じシェアの再送は拒否され、状態に記録される
+    collected = await collectShareResponse(collected.state, relay(first));
+    expect(collected.accepted).toBe(false);
+    expect(collected.reason).toContain('受け取り済み');
+
+    collected = await collectShareResponse(relay(collected.state), relay(second));
+    expect(collected.result).toEqual({ secret: 'マスターキー', verified: true });
+    expect(collected.state.rejected).toHaveLength(1);
+  });
+
+  test('有効期限が切れたセッションには応答しない', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request } = await createRecoverySession(publicRecoveryData, { ttl: -1 });
+
+    await expect(createShareResponse(request, shares[0])).rejects.toThrow('有効期限');
+  });
+
+  test('チェックサムの正しい偽のシェアが混ざっても、残りの応答が届けば復元できる', async () => {
+    const { shares, publicRecoveryData } = generateRecoveryData('マスターキー', 3, 2);
+    const { request, state } = await createRecoverySession(publicRecoveryData);
+    const forged = forgeShare(shares[2]);
+
+    let collected = await collectShareResponse(state, await createShareResponse(request, shares[0]));
+    collected = await collectShareResponse(collected.state, await createShareResponse(request, forged));
+    expect(collected.accepted).toBe(true);
+    expect(collected.result.error).toContain('コミットメントと一致しません');
+    expect(getSessionStatus(collected.state).collected).toBe(2);
+
+    // 同じx座標の正しいシェアも受け取り、コミットメントと一致する組み合わせで復元する
+    // （組み合わせごとの結合ではシェアや復元途中の値をログに出力しない）
+    const response = await createShareResponse(request, shares[2]);
+    console.log.mockClear();
+    collected = await collectShareResponse(relay(collected.state), response);
+    expect(collected.accepted).toBe(true);
+    expect(collected.result).toEqual({ secret: 'マスターキー', verified: true });
+    expect(JSON.stringify(console.log.mock.calls)).not.toContain('デコードされたシェア');
+  });
+
+  test('ガーディアンのアドレスが登録されている場合は署名のない応答や他人のシェアを拒否する', async () => {
+    const guardians = [await generateECKeyPair(), await generateECKeyPair(), await generateECKeyPair()];
+    const wallets = guardians.map(() => new Wallet(utils.randomBytes(32)));
+    const { guardianShares, publicRecoveryData } = await generateGuardianRecoveryData(
+      'マスターキー',
+      guardians.map(guardian => guardian.publicKey),
+      2,
+      { guardianAddresses: wallets.map(wallet => wallet.address) }
+    );
+    const { request, state } = await createRecoverySession(publicRecoveryData);
+    const respond = (i, wallet) => createShareResponse(
+      relay(request), guardianShares[i], guardians[i].privateKey, { wallet }
+    );
+
+    const unsigned = await respond(0);
+    const wrongSigner = await respond(0, wallets[1]);
+    const anonymous = { ...(await respond(1, wallets[1])), guardian: null };
+    let collected = await collectShareResponse(state, relay(unsigned));
+    expect(collected.reason).toContain('署名がない');
+    collected = await collectShareResponse(collected.state, relay(wrongSigner));
+    expect(collected.reason).toContain('シェアではありません');
+    collected = await collectShareResponse(collected.state, relay(anonymous));
+    expect(collected.reason).toContain('ガーディアンの記載がない');
+
+    collected = await collectShareResponse(collected.state, relay(await respond(0, wallets[0])));
+    collected = await collectShareResponse(collected.state, relay(await respond(2, wallets[2])));
+    expect(collected.result).toEqual({ secret: 'マスターキー', verified: true });
+    expect(collected.state.rejected).toHaveLength(3);
+  });
+});
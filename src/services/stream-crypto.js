@@ -0,0 +1,377 @@
+// src/services/stream-crypto.js
+
+import {
+  importKey,
+  getKeyFingerprint,
+  formatFingerprint,
+  bytesToHex,
+  hexToBytes
+} from './improved-crypto';
+// 大きなファイル向けのチャンク分割ストリーミング暗号化（AES-GCM）
+// 全体をメモリに載せずに、ReadableStream / Blob.stream() を順次暗号化・復号します
+//
+// 出力形式:
+//   ヘッダー（23バイト）: マジック "CTS"(3) | バージョン(1) | チャンクサイズ(4, BE) | ノンスプレフィックス(7)
+//                        | 鍵ID(8, 鍵フィンガープリントの先頭64ビット)
+//   フレーム（繰り返し）: 暗号文長(4, BE) | 暗号文（平文チャンク + 16バイトの認証タグ）
+//
+// 各チャンクのノンスは ノンスプレフィックス(7) | カウンター(4, BE) | 最終フラグ(1) で構成され、
+// ヘッダー全体を追加認証データとして使用します。これにより、チャンクの順序入れ替え・欠落、
+// 末尾の切り詰め、ヘッダーの改ざんはすべて認証エラーとして検出されます。
+
+const STREAM_MAGIC = [0x43, 0x54, 0x53]; // "CTS"
+const STREAM_VERSION = 1;
+const HEADER_LENGTH = 23;
+const NONCE_PREFIX_LENGTH = 7;
+const KEY_ID_LENGTH = 8;
+const TAG_LENGTH = 16;
+const MAX_COUNTER = 0xffffffff;
+
+// デフォルトのチャンクサイズ（64KiB）
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * 入力をReadableStreamに変換
+ * @param {ReadableStream|Blob} source - 入力（ReadableStreamまたはBlob）
+ * @returns {ReadableStream} ReadableStream
+ */
+const toReadableStream = (source) => {
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return source.stream();
+  }
+  if (source && typeof source.getReader === 'function') {
+    return source;
+  }
+  throw new Error('ReadableStreamまたはBlobを指定してください');
+};
+
+/**
+ * 指定バイト数ずつ読み出せるストリームリーダーを作成
+ * @param {ReadableStream} stream - 入力ストリーム
+ * @returns {Object} リーダー（read, atEnd, cancel）
+ */
+const createByteReader = (stream) => {
+  const reader = stream.getReader();
+  const pending = []; // 未消費のチャンク
+  let pendingLength = 0;
+  let done = false;
+
+  // 必要なバイト数が揃うか、入力が終わるまで読み込む
+  const fill = async (length) => {
+    while (pendingLength < length && !done) {
+      const { value, done: readerDone } = await reader.read();
+      if (readerDone) {
+        done = true;
+      } else if (value && value.length > 0) {
+        const bytes = value instanceof Uint8Array ? value : new Uint8Array(value);
+        pending.push(bytes);
+        pendingLength += bytes.length;
+      }
+    }
+  };
+
+  return {
+    // 最大lengthバイトを読み出す（入力の終端では短くなる）
+    read: async (length) => {
+      await fill(length);
+
+      const size = Math.min(length, pendingLength);
+      const result = new Uint8Array(size);
+      let offset = 0;
+
+      while (offset < size) {
+        const head = pending[0];
+        const take = Math.min(head.length, size - offset);
+        result.set(head.subarray(0, take), offset);
+        offset += take;
+
+        if (take === head.length) {
+          pending.shift();
+        } else {
+          pending[0] = head.subarray(take);
+        }
+      }
+
+      pendingLength -= size;
+      return result;
+    },
+
+    // 入力がすべて消費されたかどうか
+    atEnd: async () => {
+      await fill(1);
+      return pendingLength === 0;
+    },
+
+    cancel: (reason) => reader.cancel(reason)
+  };
+};
+
+/**
+ * チャンクごとのノンスを生成
+ * @param {Uint8Array} prefix - ノンスプレフィックス（7バイト）
+ * @param {number} counter - チャンク番号
+ * @param {boolean} isFinal - 最終チャンクかどうか
+ * @returns {Uint8Array} 12バイトのノンス
+ */
+const chunkNonce = (prefix, counter, isFinal) => {
+  const nonce = new Uint8Array(12);
+  nonce.set(prefix, 0);
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, counter, false);
+  nonce[11] = isFinal ? 1 : 0;
+  return nonce;
+};
+
+/**
+ * ストリームヘッダーを作成
+ * @param {number} chunkSize - チャンクサイズ
+ * @param {Uint8Array} prefix - ノンスプレフィックス
+ * @param {Uint8Array} keyId - 鍵ID（8バイト）
+ * @returns {Uint8Array} ヘッダー
+ */
+const buildHeader = (chunkSize, prefix, keyId) => {
+  const header = new Uint8Array(HEADER_LENGTH);
+  header.set(STREAM_MAGIC, 0);
+  header[3] = STREAM_VERSION;
+  new DataView(header.buffer).setUint32(4, chunkSize, false);
+  header.set(prefix, 8);
+  header.set(keyId, 8 + NONCE_PREFIX_LENGTH);
+  return header;
+};
+
+/**
+ * ストリームヘッダーを読み込んで解析
+ * @param {Object} input - createByteReaderのリーダー
+ * @returns {Promise<Object>} ヘッダー、チャンクサイズ、ノンスプレフィックス、鍵ID（header, chunkSize, prefix, keyId）
+ */
+const readHeader = async (input) => {
+  const head = await input.read(4);
+  if (head.length < 4 || STREAM_MAGIC.some((b, i) => head[i] !== b)) {
+    throw new Error('暗号化ストリームの形式ではありません');
+  }
+
+  const version = head[3];
+  if (version !== STREAM_VERSION) {
+    throw new Error(`未対応のストリームバージョンです: ${version}`);
+  }
+
+  const rest = await input.read(HEADER_LENGTH - 4);
+  if (rest.length < HEADER_LENGTH - 4) {
+    throw new Error('ストリームヘッダーが不完全です');
+  }
+
+  const header = new Uint8Array(HEADER_LENGTH);
+  header.set(head, 0);
+  header.set(rest, 4);
+
+  const chunkSize = new DataView(header.buffer).getUint32(4, false);
+  if (chunkSize === 0) {
+    throw new Error('不正なチャンクサイズです');
+  }
+
+  return {
+    header,
+    chunkSize,
+    prefix: header.slice(8, 8 + NONCE_PREFIX_LENGTH),
+    keyId: bytesToHex(header.subarray(8 + NONCE_PREFIX_LENGTH))
+  };
+};
+
+/**
+ * ストリームをチャンク単位で暗号化
+ * 戻り値のストリームはヘッダーと暗号化フレームを順に出力する。
+ * Blobとして保存する場合は new Response(stream).blob() などを使用する
+ * @param {ReadableStream|Blob} source - 暗号化する入力
+ * @param {string} keyHex - 暗号化キー（16進数）
+ * @param {Object} [options] - オプション
+ * @param {number} [options.chunkSize] - 平文チャンクのサイズ（バイト）
+ * @returns {ReadableStream<Uint8Array>} 暗号化されたストリーム
+ */
+export const encryptStream = (source, keyHex, options = {}) => {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_COUNTER) {
+    throw new Error('チャンクサイズが不正です');
+  }
+
+  const input = createByteReader(toReadableStream(source));
+  const prefix = window.crypto.getRandomValues(new Uint8Array(NONCE_PREFIX_LENGTH));
+  let header = null;
+  let key = null;
+  let counter = 0;
+
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        key = await importKey(keyHex);
+
+        // 鍵フィンガープリントの先頭64ビットを鍵IDとしてヘッダーに記録
+        const fingerprint = await getKeyFingerprint(keyHex);
+        const keyId = hexToBytes(fingerprint.substring(0, KEY_ID_LENGTH * 2));
+
+        header = buildHeader(chunkSize, prefix, keyId);
+        controller.enqueue(header);
+      } catch (error) {
+        console.error('ストリーム暗号化の初期化に失敗しました:', error);
+        throw new Error('ストリーム暗号化に失敗しました');
+      }
+    },
+
+    async pull(controller) {
+      try {
+        if (counter > MAX_COUNTER) {
+          throw new Error('チャンク数が上限を超えました');
+        }
+
+        // 次のチャンクを読み、後続データの有無で最終チャンクかを判定
+        const chunk = await input.read(chunkSize);
+        const isFinal = await input.atEnd();
+
+        const encryptedBuffer = await window.crypto.subtle.encrypt(
+          {
+            name: 'AES-GCM',
+            iv: chunkNonce(prefix, counter, isFinal),
+            additionalData: header
+          },
+          key,
+          chunk
+        );
+
+        // 長さプレフィックス付きのフレームとして出力
+        const frame = new Uint8Array(4 + encryptedBuffer.byteLength);
+        new DataView(frame.buffer).setUint32(0, encryptedBuffer.byteLength, false);
+        frame.set(new Uint8Array(encryptedBuffer), 4);
+        controller.enqueue(frame);
+
+        counter++;
+        if (isFinal) {
+          controller.close();
+        }
+      } catch (error) {
+        console.error('ストリーム暗号化に失敗しました:', error);
+        throw new Error('ストリーム暗号化に失敗しました: ' + error.message);
+      }
+    },
+
+    cancel(reason) {
+      return input.cancel(reason);
+    }
+  });
+};
+
+/**
+ * encryptStreamで暗号化されたストリームを復号
+ * チャンクの順序入れ替え・欠落・切り詰め・改ざんを検出した場合はストリームがエラーになる。
+ * 検証済みのチャンクから順に出力されるため、エラー時は出力済みのデータも破棄すること。
+ * ヘッダーの鍵IDが指定された鍵と一致しない場合は、復号を始める前に「鍵が一致しません」エラーになる
+ * @param {ReadableStream|Blob} source - 暗号化された入力
+ * @param {string} keyHex - 復号キー（16進数）
+ * @returns {ReadableStream<Uint8Array>} 復号されたストリーム
+ */
+export const decryptStream = (source, keyHex) => {
+  const input = createByteReader(toReadableStream(source));
+  let key = null;
+  let header = null;
+  let chunkSize = 0;
+  let prefix = null;
+  let counter = 0;
+
+  return new ReadableStream({
+    async start() {
+      try {
+        key = await importKey(keyHex);
+
+        let keyId;
+        ({ header, chunkSize, prefix, keyId } = await readHeader(input));
+
+        // ヘッダーの鍵IDと照合し、復号前に鍵の取り違えを検出
+        const fingerprint = await getKeyFingerprint(keyHex);
+        if (keyId !== fingerprint.substring(0, KEY_ID_LENGTH * 2)) {
+          throw new Error(
+            `鍵が一致しません: 暗号化に使用された鍵は ${formatFingerprint(keyId)}、` +
+            `指定された鍵は ${formatFingerprint(fingerprint)} です`
+          );
+        }
+      } catch (error) {
+        console.error('ストリーム復号の初期化に失敗しました:', error);
+        throw new Error('ストリーム復号に失敗しました: ' + error.message);
+      }
+    },
+
+    async pull(controller) {
+      try {
+        // フレーム長を読み込む
+        const lengthBytes = await input.read(4);
+        if (lengthBytes.length < 4) {
+          // 最終チャンクを受け取る前に入力が終わった
+          throw new Error('ストリームが途中で切り詰められています');
+        }
+
+        const frameLength = new DataView(lengthBytes.buffer).getUint32(0, false);
+        if (frameLength < TAG_LENGTH || frameLength > chunkSize + TAG_LENGTH) {
+          throw new Error('不正なフレーム長です');
+        }
+
+        const encryptedChunk = await input.read(frameLength);
+        if (encryptedChunk.length < frameLength) {
+          throw new Error('ストリームが途中で切り詰められています');
+        }
+
+        // 後続データがなければ最終チャンクとして検証する
+        const isFinal = await input.atEnd();
+
+        let decryptedBuffer;
+        try {
+          decryptedBuffer = await window.crypto.subtle.decrypt(
+            {
+              name: 'AES-GCM',
+              iv: chunkNonce(prefix, counter, isFinal),
+              additionalData: header
+            },
+            key,
+            encryptedChunk
+          );
+        } catch (authError) {
+          throw new Error(
+            `チャンク${counter}の認証に失敗しました（鍵の誤り、改ざん、順序の入れ替え、欠落または切り詰め）`
+          );
+        }
+
+        controller.enqueue(new Uint8Array(decryptedBuffer));
+
+        counter++;
+        if (isFinal) {
+          controller.close();
+        }
+      } catch (error) {
+        console.error('ストリーム復号に失敗しました:', error);
+        throw new Error('ストリーム復号に失敗しました: ' + error.message);
+      }
+    },
+
+    cancel(reason) {
+      return input.cancel(reason);
+    }
+  });
+};
+
+/**
+ * Blobを暗号化してBlobとして返す
+ * @param {Blob} blob - 暗号化するBlob（Fileも可）
+ * @param {string} keyHex - 暗号化キー（16進数）
+ * @param {Object} [options] - encryptStreamのオプション
+ * @returns {Promise<Blob>} 暗号化されたBlob
+ */
+export const encryptBlob = async (blob, keyHex, options = {}) => {
+  return await new Response(encryptStream(blob, keyHex, options)).blob();
+};
+
+/**
+ * encryptBlobで暗号化されたBlobを復号
+ * @param {Blob} blob - 暗号化されたBlob
+ * @param {string} keyHex - 復号キー（16進数）
+ * @param {string} [mimeType] - 復号後のBlobに設定するMIMEタイプ
+ * @returns {Promise<Blob>} 復号されたBlob
+ */
+export const decryptBlob = async (blob, keyHex, mimeType = '') => {
+  const decrypted = await new Response(decryptStream(blob, keyHex)).arrayBuffer();
+  return new Blob([decrypted], { type: mimeType });
+};
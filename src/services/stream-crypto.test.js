@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import './test-setup';
+import { generateEncryptionKey } from './improved-crypto';
+import { encryptStream, decryptStream } from './stream-crypto';
+
+const HEADER_LENGTH = 23;
+
+// Uint8Arrayを1つのチャンクとして流すストリーム
+const streamOf = (bytes) => new ReadableStream({
+  start(controller) {
+    controller.enqueue(bytes);
+    controller.close();
+  }
+});
+
+// ストリームをすべて読み出して連結する
+const readAll = async (stream) => {
+  const reader = stream.getReader();
+  const chunks = [];
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    chunks.push(...value);
+  }
+  return new Uint8Array(chunks);
+};
+
+// 暗号化されたストリームをヘッダーとフレームに分解する
+const splitFrames = (encrypted) => {
+  const frames = [];
+  const view = new DataView(encrypted.buffer);
+  let offset = HEADER_LENGTH;
+  while (offset < encrypted.length) {
+    const length = view.getUint32(offset, false);
+    frames.push(encrypted.slice(offset, offset + 4 + length));
+    offset += 4 + length;
+  }
+  return { header: encrypted.slice(0, HEADER_LENGTH), frames };
+};
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((offset, part) => {
+    result.set(part, offset);
+    return offset + part.length;
+  }, 0);
+  return result;
+};
+
+describe('チャンク分割ストリーミング暗号化', () => {
+  const plaintext = new Uint8Array(100).map((_, i) => i);
+  let key;
+  let encrypted;
+
+  beforeAll(async () => {
+    key = await generateEncryptionKey();
+    encrypted = await readAll(encryptStream(streamOf(plaintext), key, { chunkSize: 32 }));
+  });
+
+  test('複数チャンクに分割して暗号化し、元のデータに復号できる', async () => {
+    expect(splitFrames(encrypted).frames).toHaveLength(4);
+    expect(Array.from(await readAll(decryptStream(streamOf(encrypted), key)))).toEqual(Array.from(plaintext));
+  });
+
+  test('末尾のチャンクが欠けたストリームは切り詰めとして検出される', async () => {
+    const { header, frames } = splitFrames(encrypted);
+    const truncated = concat(header, ...frames.slice(0, 3));
+
+    await expect(readAll(decryptStream(streamOf(truncated), key))).rejects.toThrow('チャンク2の認証に失敗しました');
+    await expect(readAll(decryptStream(streamOf(encrypted.slice(0, -5)), key))).rejects.toThrow('切り詰められています');
+  });
+
+  test('チャンクの順序を入れ替えると認証に失敗する', async () => {
+    const { header, frames } = splitFrames(encrypted);
+    const reordered = concat(header, frames[1], frames[0], frames[2], frames[3]);
+
+    await expect(readAll(decryptStream(streamOf(reordered), key))).rejects.toThrow('チャンク0の認証に失敗しました');
+  });
+
+  test('別の鍵では復号を始める前に鍵の不一致として失敗する', async () => {
+    const otherKey = await generateEncryptionKey();
+
+    await expect(readAll(decryptStream(streamOf(encrypted), otherKey))).rejects.toThrow('鍵が一致しません');
+  });
+});
@@ -0,0 +1,26 @@
+// src/services/test-setup.js
+/* eslint-env jest */
+
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { ReadableStream } from 'stream/web';
+import { Blob } from 'buffer';
+// サービスのテスト（@jest-environment node）用の共通セットアップ
+// 各テストファイルの最初にimportして使用します（サービスのモジュールより先に読み込む必要があります）
+
+// サービスはブラウザのwindow.cryptoとTextEncoderを前提としているため、Node.jsの実装を割り当てる
+if (typeof window === 'undefined') {
+  global.window = global;
+}
+if (!window.crypto || !window.crypto.subtle) {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+}
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+// ストリーミング暗号化（stream-crypto）はReadableStreamとBlobを使用する
+global.ReadableStream = global.ReadableStream || ReadableStream;
+global.Blob = global.Blob || Blob;
+
+// サービスはシェアの結合過程や想定どおりの失敗を詳細にログ出力するため、このテストファイル内でのみ抑制する
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});